@@ -0,0 +1,282 @@
+// Data access for the blog.
+//
+// The app shares one connection to the SQLite db for everyday queries. A
+// transaction gets a connection of its own from a small pool, so statements
+// from other requests can't end up inside it. Foreign keys are turned on for
+// every connection, which makes deleting a user or a post remove everything
+// that belongs to it.
+//
+// The schema is built by the numbered files in migrations/. Each one exports
+// up(db) and runs once, in order, with the versions already applied recorded
+// in schema_migrations.
+//
+// The users and posts repositories below cover the queries that are needed
+// all over the app. Their functions take an optional db so they can be used
+// inside a transaction.
+
+const fs = require('fs');
+const path = require('path');
+const sqlite = require('sqlite');
+const sqlite3 = require('sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const POOL_SIZE = 4;
+// How long a statement waits for another connection's transaction before failing, in ms
+const BUSY_TIMEOUT = 5000;
+
+let filename = 'websiteData.db';
+let shared = null;
+const idle = [];
+const waiting = [];
+let pooled = 0;
+
+//Sets the db file, before anything has connected. ':memory:' gives a db that lives
+//only as long as the process, there every transaction uses the shared connection
+//since other connections would each get a db of their own
+function configure(options) {
+    if (shared) {
+        throw new Error('The database is already open');
+    }
+    filename = options.filename;
+}
+
+function isMemory() {
+    return filename === ':memory:';
+}
+
+async function openConnection() {
+    const db = await sqlite.open({ filename, driver: sqlite3.Database });
+    await db.exec(`PRAGMA foreign_keys = ON; PRAGMA busy_timeout = ${BUSY_TIMEOUT};`);
+    return db;
+}
+
+//The shared connection, opened the first time it is asked for
+function connect() {
+    if (!shared) {
+        shared = openConnection();
+    }
+    return shared;
+}
+
+async function acquire() {
+    if (idle.length > 0) {
+        return idle.pop();
+    }
+    const limit = isMemory() ? 1 : POOL_SIZE;
+    if (pooled < limit) {
+        pooled++;
+        try {
+            return isMemory() ? await connect() : await openConnection();
+        } catch (error) {
+            pooled--;
+            throw error;
+        }
+    }
+    return new Promise(resolve => waiting.push(resolve));
+}
+
+function release(db) {
+    const next = waiting.shift();
+    if (next) {
+        next(db);
+    } else {
+        idle.push(db);
+    }
+}
+
+//Runs work(db) in a transaction, committing if it finishes and rolling back if it throws.
+//Returns what work returns
+async function transaction(work) {
+    const db = await acquire();
+    try {
+        await db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = await work(db);
+            await db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw error;
+        }
+    } finally {
+        release(db);
+    }
+}
+
+//Closes every connection, for shutting down
+async function close() {
+    const connections = idle.splice(0);
+    if (shared) {
+        connections.push(await shared);
+        shared = null;
+    }
+    pooled = 0;
+    await Promise.all([...new Set(connections)].map(db => db.close()));
+}
+
+//The migrations in migrations/, named like 003-add-something.js, sorted by version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(/^(\d+)-([\w-]+)\.js$/))
+        .filter(Boolean)
+        .map(match => ({
+            version: Number(match[1]),
+            name: match[2],
+            up: require(path.join(MIGRATIONS_DIR, match[0])).up
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+//Applies the migrations that haven't run yet, each in its own transaction.
+//Foreign keys are off while they run so tables can be rebuilt, and checked before
+//each one commits. Returns the versions that were applied
+async function migrate() {
+    const db = await connect();
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    const applied = new Set((await db.all('SELECT version FROM schema_migrations')).map(row => row.version));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+    if (pending.length === 0) {
+        return [];
+    }
+
+    await db.exec('PRAGMA foreign_keys = OFF');
+    try {
+        for (const migration of pending) {
+            await db.exec('BEGIN');
+            try {
+                await migration.up(db);
+                const problems = await db.all('PRAGMA foreign_key_check');
+                if (problems.length > 0) {
+                    throw new Error(`${problems.length} rows in ${problems[0].table} point at rows that don't exist`);
+                }
+                await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                await db.exec('COMMIT');
+            } catch (error) {
+                await db.exec('ROLLBACK');
+                throw new Error(`Migration ${migration.version} ${migration.name} failed: ${error.message}`);
+            }
+            console.log(`Applied migration ${migration.version} ${migration.name}.`);
+        }
+    } finally {
+        await db.exec('PRAGMA foreign_keys = ON');
+    }
+    return pending.map(migration => migration.version);
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Users
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const users = {
+    async findById(id, db) {
+        db = db || await connect();
+        return db.get('SELECT * FROM users WHERE id = ?', [id]);
+    },
+
+    async findByUsername(username, db) {
+        db = db || await connect();
+        return db.get('SELECT * FROM users WHERE username = ?', [username]);
+    },
+
+    //provider is 'google' or 'local', see user_logins
+    async findByLogin(provider, providerId, db) {
+        db = db || await connect();
+        return db.get(
+            `SELECT users.* FROM user_logins
+                JOIN users ON users.id = user_logins.user_id
+                WHERE user_logins.provider = ? AND user_logins.providerId = ?`,
+            [provider, providerId]
+        );
+    },
+
+    //Adds a user along with the first way they can log in, returns the new user's id
+    async create(user, login) {
+        return transaction(async (db) => {
+            const result = await db.run(
+                'INSERT INTO users (username, memberSince) VALUES (?, ?)',
+                [user.username, user.memberSince]
+            );
+            await db.run(
+                'INSERT INTO user_logins (user_id, provider, providerId, passwordHash) VALUES (?, ?, ?, ?)',
+                [result.lastID, login.provider, login.providerId, login.passwordHash || null]
+            );
+            return result.lastID;
+        });
+    },
+
+    //Renames a user. Returns false, changing nothing, if the username is taken.
+    //The check and the update share a transaction so two people can't take the
+    //same name at once
+    async rename(id, username) {
+        return transaction(async (db) => {
+            const taken = await db.get('SELECT 1 FROM users WHERE username = ? AND id != ?', [username, id]);
+            if (taken) {
+                return false;
+            }
+            await db.run('UPDATE users SET username = ? WHERE id = ?', [username, id]);
+            return true;
+        });
+    },
+
+    //Deletes a user, their posts, comments, likes, follows, logins and sessions go with them
+    async remove(id, db) {
+        db = db || await connect();
+        await db.run('DELETE FROM users WHERE id = ?', [id]);
+    }
+};
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Posts
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+// The optional structured trail columns on posts, the app validates them under the same names
+const TRAIL_COLUMNS = ['trailName', 'region', 'distance', 'elevationGain', 'duration', 'difficulty', 'dateHiked'];
+
+const posts = {
+    //A post with its author's username, or undefined
+    async findById(id, db) {
+        db = db || await connect();
+        return db.get(
+            'SELECT posts.*, users.username FROM posts JOIN users ON users.id = posts.user_id WHERE posts.id = ?',
+            [id]
+        );
+    },
+
+    //Adds a post, post holds title, content, user_id, timestamp and any trail columns,
+    //and a status and publishAt for posts that aren't published yet. Returns the new post's id
+    async insert(post, db) {
+        db = db || await connect();
+        const result = await db.run(
+            `INSERT INTO posts (title, content, user_id, timestamp, likes, status, publishAt, ${TRAIL_COLUMNS.join(', ')})
+                VALUES (?, ?, ?, ?, 0, ?, ?, ${TRAIL_COLUMNS.map(() => '?').join(', ')})`,
+            [
+                post.title, post.content, post.user_id, post.timestamp, post.status || 'published', post.publishAt || null,
+                ...TRAIL_COLUMNS.map(column => post[column] ?? null)
+            ]
+        );
+        return result.lastID;
+    },
+
+    //Deletes a post, its track, photos, comments, likes, revisions and reports go with it
+    async remove(id, db) {
+        db = db || await connect();
+        await db.run('DELETE FROM posts WHERE id = ?', [id]);
+    }
+};
+
+module.exports = {
+    configure,
+    connect,
+    transaction,
+    close,
+    migrate,
+    users,
+    posts,
+    TRAIL_COLUMNS
+};
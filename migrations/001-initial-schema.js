@@ -0,0 +1,291 @@
+// The schema as it was before migrations were numbered. Databases made by older
+// versions of the app can be at any point along the way, so every step checks
+// what is already there and this migration is safe to run on any of them.
+
+async function up(db) {
+    //Users and their posts
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            hashedGoogleId TEXT UNIQUE,
+            avatar_url TEXT,
+            memberSince DATETIME NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS posts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            username TEXT NOT NULL,
+            timestamp DATETIME NOT NULL,
+            likes INTEGER NOT NULL
+        );
+    `);
+
+    //Structured trail report fields
+    await addColumnIfMissing(db, 'posts', 'trailName', 'TEXT');
+    await addColumnIfMissing(db, 'posts', 'region', 'TEXT');
+    await addColumnIfMissing(db, 'posts', 'distance', 'REAL');
+    await addColumnIfMissing(db, 'posts', 'elevationGain', 'INTEGER');
+    await addColumnIfMissing(db, 'posts', 'duration', 'REAL');
+    await addColumnIfMissing(db, 'posts', 'difficulty', 'TEXT');
+    await addColumnIfMissing(db, 'posts', 'dateHiked', 'DATE');
+
+    //GPX tracks attached to posts, distances are in miles, elevations in feet and times in hours
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tracks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL UNIQUE,
+            distance REAL NOT NULL,
+            elevationGain INTEGER NOT NULL,
+            elevationLoss INTEGER NOT NULL,
+            movingTime REAL,
+            maxElevation INTEGER,
+            mapImage BLOB NOT NULL,
+            profileImage BLOB
+        );
+
+        CREATE TABLE IF NOT EXISTS track_points (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL,
+            segment INTEGER NOT NULL,
+            seq INTEGER NOT NULL,
+            lat REAL NOT NULL,
+            lon REAL NOT NULL,
+            ele REAL,
+            time DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_track_points_post ON track_points (post_id, segment, seq);
+    `);
+
+    //Photos attached to posts, stored re-encoded so no EXIF metadata survives
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS post_photos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL,
+            seq INTEGER NOT NULL,
+            width INTEGER NOT NULL,
+            height INTEGER NOT NULL,
+            thumbnail BLOB NOT NULL,
+            display BLOB NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_post_photos_post ON post_photos (post_id, seq);
+    `);
+
+    //Comments on posts, parent_id is set for replies and always points at a top level comment
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS comments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            parent_id INTEGER,
+            content TEXT NOT NULL,
+            timestamp DATETIME NOT NULL,
+            editedAt DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_comments_post ON comments (post_id, id);
+    `);
+
+    //One row per user who liked a post. posts.likes is kept as a cached total of
+    //legacyLikes (anonymous likes from before likes were tracked per user) and these rows
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS post_likes (
+            user_id INTEGER NOT NULL,
+            post_id INTEGER NOT NULL,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, post_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_post_likes_post ON post_likes (post_id);
+    `);
+    if (await addColumnIfMissing(db, 'posts', 'legacyLikes', 'INTEGER NOT NULL DEFAULT 0')) {
+        await db.run('UPDATE posts SET legacyLikes = likes');
+        console.log('Backfilled legacy like counts.');
+    }
+
+    //Full text search index over posts, the triggers keep it in sync with every
+    //insert, edit and delete so the post functions don't have to
+    const searchIndexExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='posts_fts';`);
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(title, content, trailName);
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+            INSERT INTO posts_fts (rowid, title, content, trailName) VALUES (new.id, new.title, new.content, new.trailName);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, content, trailName ON posts BEGIN
+            DELETE FROM posts_fts WHERE rowid = old.id;
+            INSERT INTO posts_fts (rowid, title, content, trailName) VALUES (new.id, new.title, new.content, new.trailName);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+            DELETE FROM posts_fts WHERE rowid = old.id;
+        END;
+    `);
+    if (!searchIndexExists) {
+        await db.run('INSERT INTO posts_fts (rowid, title, content, trailName) SELECT id, title, content, trailName FROM posts');
+        console.log('Built the search index.');
+    }
+
+    //Post editing, every edit keeps the version it replaced in post_revisions.
+    //savedAt is when that version was written and replacedAt when it was edited away
+    await addColumnIfMissing(db, 'posts', 'editedAt', 'DATETIME');
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS post_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            trailName TEXT,
+            region TEXT,
+            distance REAL,
+            elevationGain INTEGER,
+            duration REAL,
+            difficulty TEXT,
+            dateHiked DATE,
+            savedAt DATETIME NOT NULL,
+            replacedAt DATETIME NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions (post_id, id);
+    `);
+
+    //Who follows who, by user id so renames don't break it
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS follows (
+            follower_id INTEGER NOT NULL,
+            followee_id INTEGER NOT NULL,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (follower_id, followee_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_follows_followee ON follows (followee_id);
+    `);
+
+    //Personal API tokens, only a hash of each token is kept
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            tokenHash TEXT NOT NULL UNIQUE,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            lastUsedAt DATETIME
+        );
+    `);
+
+    //Moderation. Hidden posts and comments stay in the db so they can be restored,
+    //reports point at a post or comment by targetType and targetId, and every
+    //moderator action is written to moderation_log with the names as they were then
+    await addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'member'");
+    await addColumnIfMissing(db, 'users', 'suspendedAt', 'DATETIME');
+    await addColumnIfMissing(db, 'posts', 'hiddenAt', 'DATETIME');
+    await addColumnIfMissing(db, 'comments', 'hiddenAt', 'DATETIME');
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            targetType TEXT NOT NULL,
+            targetId INTEGER NOT NULL,
+            reporter_id INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            details TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            resolvedAt DATETIME,
+            resolvedBy INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_reports_target ON reports (targetType, targetId);
+
+        CREATE TABLE IF NOT EXISTS moderation_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            moderator_id INTEGER NOT NULL,
+            moderatorName TEXT NOT NULL,
+            action TEXT NOT NULL,
+            targetType TEXT NOT NULL,
+            targetId INTEGER NOT NULL,
+            details TEXT,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    //Login methods, a user can sign in with Google, an email and password or both.
+    //Each one is a row in user_logins, which takes over from users.hashedGoogleId
+    const googleIdColumn = (await db.all('PRAGMA table_info(users)')).find(col => col.name === 'hashedGoogleId');
+    if (googleIdColumn && googleIdColumn.notnull) {
+        await makeGoogleIdOptional(db);
+    }
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS user_logins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            provider TEXT NOT NULL,
+            providerId TEXT NOT NULL,
+            passwordHash TEXT,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (provider, providerId)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_user_logins_user ON user_logins (user_id);
+
+        CREATE TABLE IF NOT EXISTS password_resets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            tokenHash TEXT NOT NULL UNIQUE,
+            expiresAt INTEGER NOT NULL,
+            usedAt DATETIME
+        );
+    `);
+    await db.run(`
+        INSERT OR IGNORE INTO user_logins (user_id, provider, providerId)
+            SELECT id, 'google', hashedGoogleId FROM users WHERE hashedGoogleId IS NOT NULL
+    `);
+    await db.run('UPDATE users SET hashedGoogleId = NULL WHERE hashedGoogleId IS NOT NULL');
+    //Sessions of logged in and anonymous visitors, see the Sessions section of server.js
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sid TEXT NOT NULL UNIQUE,
+            sess TEXT NOT NULL,
+            user_id INTEGER,
+            userAgent TEXT,
+            createdAt INTEGER NOT NULL,
+            lastSeenAt INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expiresAt);
+    `);
+}
+
+//Adds a column to a table unless a column with that name is already there.
+//Returns true if the column was added
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (columns.some(col => col.name === column)) {
+        return false;
+    }
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${column} to ${table}.`);
+    return true;
+}
+
+//SQLite can't drop NOT NULL from a column, so the users table is rebuilt from its own
+//definition with the constraint taken off hashedGoogleId
+async function makeGoogleIdOptional(db) {
+    const { sql } = await db.get(`SELECT sql FROM sqlite_master WHERE type='table' AND name='users'`);
+    const newSql = sql
+        .replace(/CREATE TABLE (IF NOT EXISTS )?users/, 'CREATE TABLE users_new')
+        .replace('hashedGoogleId TEXT NOT NULL UNIQUE', 'hashedGoogleId TEXT UNIQUE');
+    await db.exec(newSql);
+    await db.exec('INSERT INTO users_new SELECT * FROM users');
+    await db.exec('DROP TABLE users');
+    await db.exec('ALTER TABLE users_new RENAME TO users');
+    console.log('Made users.hashedGoogleId optional.');
+}
+
+module.exports = { up };
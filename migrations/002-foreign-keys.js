@@ -0,0 +1,322 @@
+// Rebuilds every table with foreign keys so rows that belong to a post or a user
+// are removed with it by ON DELETE CASCADE. Posts now point at their author by
+// user_id instead of by username, so renaming a user only touches the users row,
+// and users.hashedGoogleId is dropped since user_logins took its place.
+// Rows that already pointed at something missing are left behind, except posts:
+// the migration stops and lists any post whose author is missing, since that is
+// someone's writing rather than a stray like or session.
+
+const TABLES = [
+    {
+        name: 'users',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            avatar_url TEXT,
+            memberSince DATETIME NOT NULL,
+            role TEXT NOT NULL DEFAULT 'member',
+            suspendedAt DATETIME`,
+        select: 'SELECT id, username, avatar_url, memberSince, role, suspendedAt FROM users'
+    },
+    {
+        name: 'posts',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            timestamp DATETIME NOT NULL,
+            likes INTEGER NOT NULL,
+            legacyLikes INTEGER NOT NULL DEFAULT 0,
+            trailName TEXT,
+            region TEXT,
+            distance REAL,
+            elevationGain INTEGER,
+            duration REAL,
+            difficulty TEXT,
+            dateHiked DATE,
+            editedAt DATETIME,
+            hiddenAt DATETIME`,
+        select: `SELECT posts.id, title, content, users.id, timestamp, likes, legacyLikes, trailName, region, distance,
+                elevationGain, duration, difficulty, dateHiked, editedAt, hiddenAt
+            FROM posts JOIN users ON users.username = posts.username`
+    },
+    {
+        name: 'tracks',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL UNIQUE REFERENCES posts (id) ON DELETE CASCADE,
+            distance REAL NOT NULL,
+            elevationGain INTEGER NOT NULL,
+            elevationLoss INTEGER NOT NULL,
+            movingTime REAL,
+            maxElevation INTEGER,
+            mapImage BLOB NOT NULL,
+            profileImage BLOB`,
+        select: `SELECT id, post_id, distance, elevationGain, elevationLoss, movingTime, maxElevation, mapImage, profileImage
+            FROM tracks WHERE post_id IN (SELECT id FROM posts)`
+    },
+    {
+        name: 'track_points',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            segment INTEGER NOT NULL,
+            seq INTEGER NOT NULL,
+            lat REAL NOT NULL,
+            lon REAL NOT NULL,
+            ele REAL,
+            time DATETIME`,
+        select: `SELECT id, post_id, segment, seq, lat, lon, ele, time
+            FROM track_points WHERE post_id IN (SELECT id FROM posts)`
+    },
+    {
+        name: 'post_photos',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            seq INTEGER NOT NULL,
+            width INTEGER NOT NULL,
+            height INTEGER NOT NULL,
+            thumbnail BLOB NOT NULL,
+            display BLOB NOT NULL`,
+        select: `SELECT id, post_id, seq, width, height, thumbnail, display
+            FROM post_photos WHERE post_id IN (SELECT id FROM posts)`
+    },
+    {
+        name: 'comments',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            parent_id INTEGER REFERENCES comments (id) ON DELETE CASCADE,
+            content TEXT NOT NULL,
+            timestamp DATETIME NOT NULL,
+            editedAt DATETIME,
+            hiddenAt DATETIME`,
+        // Replies come after the comment they answer, so a reply's parent is only kept if it was
+        select: `SELECT id, post_id, user_id, parent_id, content, timestamp, editedAt, hiddenAt FROM comments
+            WHERE post_id IN (SELECT id FROM posts) AND user_id IN (SELECT id FROM users)
+                AND (parent_id IS NULL OR parent_id IN (
+                    SELECT id FROM comments WHERE post_id IN (SELECT id FROM posts) AND user_id IN (SELECT id FROM users)))
+            ORDER BY id`
+    },
+    {
+        name: 'post_likes',
+        definition: `
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, post_id)`,
+        select: `SELECT user_id, post_id, createdAt FROM post_likes
+            WHERE user_id IN (SELECT id FROM users) AND post_id IN (SELECT id FROM posts)`
+    },
+    {
+        name: 'post_revisions',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            trailName TEXT,
+            region TEXT,
+            distance REAL,
+            elevationGain INTEGER,
+            duration REAL,
+            difficulty TEXT,
+            dateHiked DATE,
+            savedAt DATETIME NOT NULL,
+            replacedAt DATETIME NOT NULL`,
+        select: `SELECT id, post_id, title, content, trailName, region, distance, elevationGain, duration, difficulty,
+                dateHiked, savedAt, replacedAt
+            FROM post_revisions WHERE post_id IN (SELECT id FROM posts)`
+    },
+    {
+        name: 'follows',
+        definition: `
+            follower_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            followee_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (follower_id, followee_id)`,
+        select: `SELECT follower_id, followee_id, createdAt FROM follows
+            WHERE follower_id IN (SELECT id FROM users) AND followee_id IN (SELECT id FROM users)`
+    },
+    {
+        name: 'api_tokens',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            tokenHash TEXT NOT NULL UNIQUE,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            lastUsedAt DATETIME`,
+        select: `SELECT id, user_id, name, tokenHash, createdAt, lastUsedAt
+            FROM api_tokens WHERE user_id IN (SELECT id FROM users)`
+    },
+    {
+        name: 'reports',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            targetType TEXT NOT NULL,
+            targetId INTEGER NOT NULL,
+            reporter_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            reason TEXT NOT NULL,
+            details TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            resolvedAt DATETIME,
+            resolvedBy INTEGER REFERENCES users (id) ON DELETE SET NULL`,
+        select: `SELECT id, targetType, targetId, reporter_id, reason, details, status, createdAt, resolvedAt,
+                (SELECT id FROM users WHERE users.id = reports.resolvedBy)
+            FROM reports WHERE reporter_id IN (SELECT id FROM users)`
+    },
+    {
+        // The log keeps the moderator's name, so entries outlive the moderator's account
+        name: 'moderation_log',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            moderator_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            moderatorName TEXT NOT NULL,
+            action TEXT NOT NULL,
+            targetType TEXT NOT NULL,
+            targetId INTEGER NOT NULL,
+            details TEXT,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP`,
+        select: `SELECT id, (SELECT id FROM users WHERE users.id = moderation_log.moderator_id), moderatorName, action,
+                targetType, targetId, details, createdAt
+            FROM moderation_log`
+    },
+    {
+        name: 'user_logins',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            provider TEXT NOT NULL,
+            providerId TEXT NOT NULL,
+            passwordHash TEXT,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (provider, providerId)`,
+        select: `SELECT id, user_id, provider, providerId, passwordHash, createdAt
+            FROM user_logins WHERE user_id IN (SELECT id FROM users)`
+    },
+    {
+        name: 'password_resets',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            tokenHash TEXT NOT NULL UNIQUE,
+            expiresAt INTEGER NOT NULL,
+            usedAt DATETIME`,
+        select: `SELECT id, user_id, tokenHash, expiresAt, usedAt
+            FROM password_resets WHERE user_id IN (SELECT id FROM users)`
+    },
+    {
+        // Anonymous visitors have sessions too, their user_id stays null
+        name: 'sessions',
+        definition: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sid TEXT NOT NULL UNIQUE,
+            sess TEXT NOT NULL,
+            user_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+            userAgent TEXT,
+            createdAt INTEGER NOT NULL,
+            lastSeenAt INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL`,
+        select: `SELECT id, sid, sess, user_id, userAgent, createdAt, lastSeenAt, expiresAt
+            FROM sessions WHERE user_id IS NULL OR user_id IN (SELECT id FROM users)`
+    }
+];
+
+async function up(db) {
+    await checkPostAuthors(db);
+    for (const table of TABLES) {
+        await rebuildTable(db, table);
+    }
+
+    await db.exec(`
+        CREATE INDEX idx_posts_user ON posts (user_id);
+        CREATE INDEX idx_track_points_post ON track_points (post_id, segment, seq);
+        CREATE INDEX idx_post_photos_post ON post_photos (post_id, seq);
+        CREATE INDEX idx_comments_post ON comments (post_id, id);
+        CREATE INDEX idx_comments_user ON comments (user_id);
+        CREATE INDEX idx_comments_parent ON comments (parent_id);
+        CREATE INDEX idx_post_likes_post ON post_likes (post_id);
+        CREATE INDEX idx_post_revisions_post ON post_revisions (post_id, id);
+        CREATE INDEX idx_follows_followee ON follows (followee_id);
+        CREATE INDEX idx_api_tokens_user ON api_tokens (user_id);
+        CREATE INDEX idx_reports_target ON reports (targetType, targetId);
+        CREATE INDEX idx_reports_reporter ON reports (reporter_id);
+        CREATE INDEX idx_user_logins_user ON user_logins (user_id);
+        CREATE INDEX idx_password_resets_user ON password_resets (user_id);
+        CREATE INDEX idx_sessions_user ON sessions (user_id);
+        CREATE INDEX idx_sessions_expires ON sessions (expiresAt);
+    `);
+
+    //The search index triggers went with the old posts table. Triggers also run for rows
+    //removed by a cascade, so the search index, reports and like totals stay right
+    //however a post, comment or like is deleted
+    await db.exec(`
+        CREATE TRIGGER posts_fts_insert AFTER INSERT ON posts BEGIN
+            INSERT INTO posts_fts (rowid, title, content, trailName) VALUES (new.id, new.title, new.content, new.trailName);
+        END;
+
+        CREATE TRIGGER posts_fts_update AFTER UPDATE OF title, content, trailName ON posts BEGIN
+            DELETE FROM posts_fts WHERE rowid = old.id;
+            INSERT INTO posts_fts (rowid, title, content, trailName) VALUES (new.id, new.title, new.content, new.trailName);
+        END;
+
+        CREATE TRIGGER posts_fts_delete AFTER DELETE ON posts BEGIN
+            DELETE FROM posts_fts WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER posts_reports_delete AFTER DELETE ON posts BEGIN
+            DELETE FROM reports WHERE targetType = 'post' AND targetId = old.id;
+        END;
+
+        CREATE TRIGGER comments_reports_delete AFTER DELETE ON comments BEGIN
+            DELETE FROM reports WHERE targetType = 'comment' AND targetId = old.id;
+        END;
+
+        CREATE TRIGGER post_likes_count_insert AFTER INSERT ON post_likes BEGIN
+            UPDATE posts SET likes = legacyLikes + (SELECT COUNT(*) FROM post_likes WHERE post_id = new.post_id)
+                WHERE id = new.post_id;
+        END;
+
+        CREATE TRIGGER post_likes_count_delete AFTER DELETE ON post_likes BEGIN
+            UPDATE posts SET likes = legacyLikes + (SELECT COUNT(*) FROM post_likes WHERE post_id = old.post_id)
+                WHERE id = old.post_id;
+        END;
+    `);
+
+    //Search entries of posts that were left behind
+    await db.run('DELETE FROM posts_fts WHERE rowid NOT IN (SELECT id FROM posts)');
+}
+
+//Fails the migration if any post names a username with no users row, the posts copy
+//joins on it and would drop them. Reassign or delete those posts, then run it again
+async function checkPostAuthors(db) {
+    const orphans = await db.all(
+        'SELECT id, username, title FROM posts WHERE username NOT IN (SELECT username FROM users) ORDER BY id'
+    );
+    if (orphans.length > 0) {
+        const list = orphans.map(post => `#${post.id} "${post.title}" by ${post.username}`).join(', ');
+        throw new Error(`${orphans.length} posts have no author in users, give them one or delete them first: ${list}`);
+    }
+}
+
+//Copies a table into a new one with the given definition, then swaps the new one in.
+//Runs with foreign keys off, so dropping the old table doesn't touch the rows pointing at it
+async function rebuildTable(db, table) {
+    const { count: before } = await db.get(`SELECT COUNT(*) AS count FROM ${table.name}`);
+    await db.exec(`CREATE TABLE ${table.name}_new (${table.definition}\n        )`);
+    await db.run(`INSERT INTO ${table.name}_new ${table.select}`);
+    await db.exec(`DROP TABLE ${table.name}`);
+    await db.exec(`ALTER TABLE ${table.name}_new RENAME TO ${table.name}`);
+
+    const { count: after } = await db.get(`SELECT COUNT(*) AS count FROM ${table.name}`);
+    if (after < before) {
+        console.log(`Left behind ${before - after} rows of ${table.name} that pointed at missing rows.`);
+    }
+}
+
+module.exports = { up };
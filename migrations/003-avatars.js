@@ -0,0 +1,18 @@
+// Generated avatars are drawn from a hash of the username whenever they are asked
+// for, so the randomly colored ones stored in users.avatar_url are dropped. Users
+// can pick the colors with avatarTheme, and photos they upload go in user_avatars.
+
+async function up(db) {
+    await db.exec(`
+        ALTER TABLE users DROP COLUMN avatar_url;
+        ALTER TABLE users ADD COLUMN avatarTheme TEXT;
+
+        CREATE TABLE user_avatars (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            image BLOB NOT NULL,
+            updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+module.exports = { up };
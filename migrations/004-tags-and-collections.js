@@ -0,0 +1,38 @@
+// Tags group posts by topic, like "winter" or a park, and collections are named
+// lists of posts that a user puts together, like "2026 bucket list". Tags are
+// stored once in tags and linked to posts through post_tags.
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE
+        );
+
+        CREATE TABLE post_tags (
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+            PRIMARY KEY (post_id, tag_id)
+        );
+        CREATE INDEX idx_post_tags_tag ON post_tags (tag_id);
+
+        CREATE TABLE collections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            description TEXT,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, name)
+        );
+
+        CREATE TABLE collection_posts (
+            collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            addedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (collection_id, post_id)
+        );
+        CREATE INDEX idx_collection_posts_post ON collection_posts (post_id);
+    `);
+}
+
+module.exports = { up };
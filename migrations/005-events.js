@@ -0,0 +1,41 @@
+// Group hikes are posts planned ahead of time. events holds the details that
+// only they have, the difficulty is the post's own difficulty column, and
+// event_rsvps the answers of everyone who responded. Once a hike has happened
+// its organizer turns the post into a trip report, convertedAt is set and
+// hike_attendees keeps who came along.
+//
+// The waitlist isn't stored: people who are going hold a spot in the order of
+// position, the ones past capacity are waitlisted, so a spot that frees up goes
+// to the next person in line by itself.
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE events (
+            post_id INTEGER PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+            meetingPoint TEXT NOT NULL,
+            startTime TEXT NOT NULL,
+            capacity INTEGER,
+            convertedAt TEXT
+        );
+        CREATE INDEX idx_events_start ON events (startTime);
+
+        CREATE TABLE event_rsvps (
+            post_id INTEGER NOT NULL REFERENCES events(post_id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            status TEXT NOT NULL CHECK (status IN ('going', 'maybe', 'not-going')),
+            position INTEGER NOT NULL,
+            respondedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (post_id, user_id)
+        );
+        CREATE INDEX idx_event_rsvps_user ON event_rsvps (user_id);
+
+        CREATE TABLE hike_attendees (
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            PRIMARY KEY (post_id, user_id)
+        );
+        CREATE INDEX idx_hike_attendees_user ON hike_attendees (user_id);
+    `);
+}
+
+module.exports = { up };
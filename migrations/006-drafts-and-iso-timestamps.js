@@ -0,0 +1,38 @@
+// Posts can be saved as drafts or scheduled to publish later. status is draft,
+// scheduled or published, and publishAt is when a scheduled post goes out.
+//
+// Timestamps written by the app are ISO 8601 in UTC from now on. The ones from
+// before, written by getDate(), are converted as timestamps.js describes.
+
+const { convertLegacyTimestamp } = require('../timestamps');
+
+// Columns written with getDate()
+const LEGACY_COLUMNS = {
+    users: ['memberSince', 'suspendedAt'],
+    posts: ['timestamp', 'editedAt', 'hiddenAt'],
+    post_revisions: ['savedAt', 'replacedAt'],
+    comments: ['timestamp', 'editedAt', 'hiddenAt']
+};
+
+async function up(db) {
+    await db.exec(`
+        ALTER TABLE posts ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+            CHECK (status IN ('draft', 'scheduled', 'published'));
+        ALTER TABLE posts ADD COLUMN publishAt TEXT;
+        CREATE INDEX idx_posts_scheduled ON posts (publishAt) WHERE status = 'scheduled';
+    `);
+
+    for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+        for (const column of columns) {
+            const rows = await db.all(`SELECT id, ${column} AS value FROM ${table} WHERE ${column} LIKE '%  %'`);
+            for (const row of rows) {
+                const converted = convertLegacyTimestamp(row.value);
+                if (converted) {
+                    await db.run(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [converted, row.id]);
+                }
+            }
+        }
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,34 @@
+// Notifications tell users when someone engages with them: likes and comments
+// on their posts, replies to their comments, new followers and people joining
+// their group hikes. actor_id is who did it, post_id and comment_id what it was
+// about, and readAt stays empty until the user has seen it.
+//
+// Every type is on until a user turns it off, notification_preferences only
+// holds the choices they made.
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            actor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            type TEXT NOT NULL CHECK (type IN ('like', 'comment', 'reply', 'follow', 'rsvp')),
+            post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+            comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+            createdAt TEXT NOT NULL,
+            readAt TEXT
+        );
+        CREATE INDEX idx_notifications_user ON notifications (user_id, id);
+        CREATE INDEX idx_notifications_unread ON notifications (user_id) WHERE readAt IS NULL;
+        CREATE INDEX idx_notifications_actor ON notifications (actor_id);
+
+        CREATE TABLE notification_preferences (
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            type TEXT NOT NULL,
+            enabled INTEGER NOT NULL,
+            PRIMARY KEY (user_id, type)
+        );
+    `);
+}
+
+module.exports = { up };
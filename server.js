@@ -2,13 +2,21 @@ const express = require('express');
 const expressHandlebars = require('express-handlebars');
 const session = require('express-session');
 const canvas = require('canvas');
-const { createCanvas } = require('canvas');
-const sqlite = require('sqlite');
-const sqlite3 = require('sqlite3');
+const { createCanvas, loadImage } = require('canvas');
 const dotenv = require('dotenv')
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { XMLParser } = require('fast-xml-parser');
+const AdmZip = require('adm-zip');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const database = require('./database');
+const { convertLegacyTimestamp } = require('./timestamps');
 
 
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
@@ -18,6 +26,44 @@ const crypto = require('crypto');
 const app = express();
 const PORT = 3000;
 
+// Versioned JSON API, its routes are in the API Routes section below
+const apiRouter = express.Router();
+
+// Allowed values for the difficulty rating on trail reports
+const TRAIL_DIFFICULTIES = ['easy', 'moderate', 'hard', 'strenuous'];
+
+// Feed sort orders, how many posts are on a page and the windows trending posts can be ranked over
+const FEED_SORTS = [
+    { name: 'recent', label: 'By Recency' },
+    { name: 'liked', label: 'By Likes' },
+    { name: 'trending', label: 'Trending' }
+];
+const POSTS_PER_PAGE = 10;
+const TRENDING_WINDOWS = [1, 7, 30];
+const DEFAULT_TRENDING_DAYS = 7;
+
+// Uploads attached to posts are kept in memory until they are processed and stored in the db
+const MAX_UPLOAD_SIZE = 15 * 1024 * 1024;
+const MAX_PHOTOS_PER_POST = 10;
+const postUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE }
+}).fields([{ name: 'gpx', maxCount: 1 }, { name: 'photos', maxCount: MAX_PHOTOS_PER_POST }]);
+
+// Avatar photos are cropped and shrunk as soon as they arrive, so they get a smaller limit
+const MAX_AVATAR_UPLOAD_SIZE = 5 * 1024 * 1024;
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_UPLOAD_SIZE }
+}).single('avatar');
+
+// Account archives hold every photo a user has posted, so they get a larger limit
+const MAX_IMPORT_SIZE = 100 * 1024 * 1024;
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_SIZE }
+}).single('archive');
+
 // Load environment variables from .env file
 dotenv.config();
 
@@ -25,14 +71,57 @@ dotenv.config();
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 
-// Configure passport
-passport.use(new GoogleStrategy({
-    clientID: CLIENT_ID,
-    clientSecret: CLIENT_SECRET,
-    callbackURL: `http://localhost:${PORT}/auth/google/callback`
-}, (token, tokenSecret, profile, done) => {
-    return done(null, profile);
-}));
+// Session cookie settings. SESSION_SECRET signs the cookie, a comma separated list lets an old
+// secret keep working while a new one is rolled out since only the first one signs new cookies.
+// Secure cookies are only sent over https, set TRUST_PROXY_HOPS when https ends at a proxy
+const SESSION_SECRETS = loadSessionSecrets(process.env.SESSION_SECRET);
+const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'hikingblog.sid';
+const SESSION_COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE
+    ? process.env.SESSION_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production';
+const SESSION_COOKIE_SAMESITE = process.env.SESSION_COOKIE_SAMESITE || 'lax';
+const SESSION_MAX_AGE_DAYS = Number(process.env.SESSION_MAX_AGE_DAYS) || 14;
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+
+// Comma separated usernames that are given the admin role when the server starts
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// Rate limits as [requests, window in seconds] for each kind of action, counted per user
+// when logged in and per IP address otherwise. default covers every state changing request,
+// the others are extra limits on particular routes. Each one can be overridden with an
+// environment variable such as RATE_LIMIT_POSTS=20/3600
+const RATE_LIMITS = loadRateLimits({
+    default: [120, 60],
+    posts: [10, 600],
+    likes: [60, 60],
+    comments: [20, 600],
+    deletes: [30, 600],
+    account: [10, 3600],
+    reports: [10, 3600],
+    rsvps: [30, 600],
+    login: [10, 600]
+});
+
+// Where account emails such as password resets go. console prints them in the server log
+// and file writes each one to MAIL_DIR, see the Mail section for adding other transports
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_DIR = process.env.MAIL_DIR || 'mail';
+const MAIL_FROM = process.env.MAIL_FROM || 'Hiking Trail Blog <no-reply@localhost>';
+
+// SQLite file everything is stored in, ':memory:' keeps it in memory until the server stops
+const DATABASE_FILE = process.env.DATABASE_FILE || 'websiteData.db';
+
+// How often scheduled posts are checked for ones that are due, in seconds
+const PUBLISH_CHECK_SECONDS = Number(process.env.PUBLISH_CHECK_SECONDS) || 60;
+
+// Largest photo accepted, in pixels (width × height). Bigger ones are refused before
+// any canvas is made for them, a few kilobytes of PNG can claim a huge size
+const PHOTO_MAX_PIXELS = Number(process.env.PHOTO_MAX_PIXELS) || 40 * 1000 * 1000;
+
+// Configure passport. The Google strategy is set up in createApp, see Server Activation
+
+// Email and password logins, the user is looked up in the Local Accounts section
+passport.use(new LocalStrategy({ usernameField: 'email', passwordField: 'password' }, verifyLocalLogin));
 
 
 passport.serializeUser((user, done) => {
@@ -51,7 +140,7 @@ passport.deserializeUser((obj, done) => {
     to perform specific tasks. They enhance the functionality of templates and 
     help simplify data manipulation directly within the view files.
 
-    In this project, two helpers are provided:
+    In this project, seven helpers are provided:
     
     1. toLowerCase:
        - Converts a given string to lowercase.
@@ -66,6 +155,28 @@ passport.deserializeUser((obj, done) => {
             {{else}}
                 <!-- Content if value1 does not equal value2 -->
             {{/ifCond}}
+
+    3. hasTrailStats:
+       - Returns true when a post has at least one structured trail field, so
+         the stats block is only rendered for trail reports.
+       - Usage example: {{#if (hasTrailStats this)}} ... {{/if}}
+
+    4. urlEncode:
+       - Encodes a value for use in a URL path, since usernames may contain
+         characters like # or &.
+       - Usage example: <a href="/users/{{urlEncode username}}">
+
+    5. markdown:
+       - Renders Markdown post content to sanitized HTML with renderMarkdown.
+         The result is safe to output unescaped.
+       - Usage example: {{{markdown content}}}
+
+    6. isoTime and formatTime:
+       - isoTime gives a stored timestamp as ISO 8601 in UTC and formatTime
+         formats it for reading in UTC, or just its date when the second
+         argument is true. The localTime partial uses both, and the script in
+         the main layout then shows the time in the reader's own time zone.
+       - Usage example: {{> localTime value=timestamp}}
 ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 */
 
@@ -84,31 +195,78 @@ app.engine(
                 }
                 return options.inverse(this);
             },
+            urlEncode: function (value) {
+                return encodeURIComponent(value);
+            },
+            hasTrailStats: function (post) {
+                return TRAIL_FIELDS.some(field => post[field] !== null && post[field] !== undefined && post[field] !== '');
+            },
+            markdown: function (text) {
+                return renderMarkdown(text);
+            },
+            isoTime: function (value) {
+                return value ? parseStoredTimestamp(value).toISOString() : '';
+            },
+            formatTime: function (value, dateOnly) {
+                if (!value) {
+                    return '';
+                }
+                const date = parseStoredTimestamp(value);
+                if (dateOnly === true) {
+                    return date.toLocaleDateString('en-US', { timeZone: 'UTC', dateStyle: 'medium' });
+                }
+                return date.toLocaleString('en-US', {
+                    timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+                    hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+                });
+            },
         },
+        // Don't indent partials, it would add spaces inside <pre> blocks in rendered Markdown
+        compilerOptions: { preventIndent: true },
     })
 );
 
 app.set('view engine', 'handlebars');
-app.set('views', './views');
+app.set('views', path.join(__dirname, 'views'));
 
 
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 // Middleware
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 
-app.use(
-    session({
-        secret: 'oneringtorulethemall',     // Secret key to sign the session ID cookie
-        resave: false,                      // Don't save session if unmodified
-        saveUninitialized: false,           // Don't create session until something stored
-        cookie: { secure: false },          // True if using https. Set to false for development without https
-    })
-);
+if (TRUST_PROXY_HOPS) {
+    app.set('trust proxy', TRUST_PROXY_HOPS);
+}
+
+const sessionMiddleware = session({
+    store: createSessionStore(),        // Sessions are kept in the sessions table, see the Sessions section
+    name: SESSION_COOKIE_NAME,
+    secret: SESSION_SECRETS,            // Secret keys to sign the session ID cookie
+    resave: false,                      // Don't save session if unmodified
+    saveUninitialized: false,           // Don't create session until something stored
+    cookie: {
+        secure: SESSION_COOKIE_SECURE,  // True if using https. Set to false for development without https
+        httpOnly: true,
+        sameSite: SESSION_COOKIE_SAMESITE,
+        maxAge: SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+    },
+});
+
+// The API comes before the session so requests authenticated with an API token
+// never create a session, it runs the session middleware itself for browser requests
+app.use('/api/v1', apiRouter);
+
+app.use(sessionMiddleware);
 
 //Passport set up
 app.use(passport.initialize());
 app.use(passport.session());
 
+app.use(loadAccountStatus);
+
+// Static files come first so they never touch the template locals below
+app.use(express.static(path.join(__dirname, 'public')));
+
 // Middleware to set local variables for templates
 app.use((req, res, next) => {
     res.locals.appName = 'Hiking Trail Blog';
@@ -116,14 +274,28 @@ app.use((req, res, next) => {
     res.locals.postNeoType = 'Post';
     res.locals.loggedIn = req.session.loggedIn || false;
     res.locals.userId = req.session.userId || '';
+    res.locals.difficulties = TRAIL_DIFFICULTIES;
+    res.locals.reportReasons = REPORT_REASONS;
+    res.locals.isAdmin = req.isAdmin;
+    // Only created when a rendered page reads it, so feeds, images and JSON don't start a session
+    Object.defineProperty(res.locals, 'csrfToken', {
+        enumerable: true,
+        get: () => getCsrfToken(req)
+    });
     next();
 });
 
 // Other middleware setup
-app.use(express.static('public'));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
+// The unread count for the bell in the main layout, see the Notifications section
+app.use(loadUnreadNotifications);
+
+// CSRF tokens and rate limits for every state changing request, see the Security section
+app.use(checkCsrfToken);
+app.use(rateLimit('default'));
+
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 // Routes
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
@@ -133,638 +305,5730 @@ app.use(express.json());
 // template
 //
 app.get('/', async (req, res) => {
-    const posts = await getPosts();
+    const filters = parsePostFilters(req.query);
+    if (filters.feed === 'following' && !req.session.userId) {
+        res.redirect('/login');
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts(filters, req.session.userId, page);
+    const regions = await getRegions();
+    const user = await getCurrentUser(req) || {};
+    const feedLinks = buildFeedLinks('/', '/posts.json', filters, page, nextCursor);
+    const feedTabs = buildFeedTabs(filters, page);
+    const tagCloud = await getTagCloud(HOME_TAG_CLOUD_SIZE);
+    const upcomingEvents = await getUpcomingEvents(HOME_UPCOMING_EVENTS);
+    res.render('home', { posts, user, filters, regions, page, feedLinks, feedTabs, tagCloud, upcomingEvents,
+        postError: req.query.error });
+});
+
+// Next page of the home feed as JSON for infinite scroll. The posts come back both as
+// data and rendered with the post partial so the page can append them as they are
+//
+app.get('/posts.json', async (req, res) => {
+    const filters = parsePostFilters(req.query);
+    if (filters.feed === 'following' && !req.session.userId) {
+        res.status(401).json({ error: 'Log in to see posts from hikers you follow' });
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts(filters, req.session.userId, page);
+    const user = await getCurrentUser(req) || {};
+    const feedLinks = buildFeedLinks('/', '/posts.json', filters, page, nextCursor);
+    renderPostPage(res, { posts, user, feedLinks, nextCursor });
+});
+
+// RSS or Atom feed of the latest posts on the site
+//
+app.get('/feed.:format(rss|atom)', async (req, res) => {
+    const posts = await getFeedPosts({});
+    sendFeed(req, res, {
+        title: res.locals.appName,
+        path: '/',
+        selfPath: `/feed.${req.params.format}`,
+        id: 'site'
+    }, posts);
+});
+
+// Renders Markdown the same way published posts are, for the live preview on post forms
+//
+app.post('/markdown/preview', (req, res) => {
+    const content = typeof req.body.content === 'string' ? req.body.content : '';
+    res.json({ html: renderMarkdown(content) });
+});
+
+// Single post page, used as the link target for a post
+//
+app.get('/posts/:id', async (req, res) => {
+    const post = await getPost(req.params.id, req.session.userId);
+    if (!post || !canSeePost(req, post)) {
+        renderNotFound(req, res, 'Post not found');
+        return;
+    }
+    const user = await getCurrentUser(req) || {};
+    const collections = req.session.userId ? await getUserCollections(req.session.userId, post.id) : [];
+    res.render('singlePost', { post, user, collections, rsvpError: req.query.rsvpError });
+});
+
+// Search route: full text search over posts plus matching usernames
+//
+app.get('/search', async (req, res) => {
+    const search = parseSearchQuery(req.query);
+    const results = search.q ? await searchPosts(search) : [];
+    const users = search.q ? await searchUsers(search.q) : [];
+    const user = await getCurrentUser(req) || {};
+    res.render('search', { search, results, users, user });
+});
+
+// Tag cloud of every tag in use
+//
+app.get('/tags', async (req, res) => {
+    const tags = await getTagCloud();
+    const user = await getCurrentUser(req) || {};
+    res.render('tags', { tags, user });
+});
+
+// Posts with a tag, sorted like the home feed
+//
+app.get('/tags/:tag', async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+    if (tag && tag !== req.params.tag) {
+        // "/tags/Dog Friendly" and "/tags/dog-friendly" are the same page
+        res.redirect(301, `/tags/${encodeURIComponent(tag)}`);
+        return;
+    }
+    const count = tag ? await countTaggedPosts(tag) : 0;
+    if (count === 0) {
+        renderNotFound(req, res, 'No posts have that tag');
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts({ tag }, req.session.userId, page);
+    const user = await getCurrentUser(req) || {};
+    const path = `/tags/${encodeURIComponent(tag)}`;
+    const feedLinks = buildFeedLinks(path, `${path}/posts.json`, {}, page, nextCursor);
+    res.render('tag', { tag, count, posts, user, page, feedLinks });
+});
+
+// Next page of a tag's posts as JSON for infinite scroll
+//
+app.get('/tags/:tag/posts.json', async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+        res.status(404).json({ error: 'Tag not found' });
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts({ tag }, req.session.userId, page);
     const user = await getCurrentUser(req) || {};
-    res.render('home', { posts, user});
+    const path = `/tags/${encodeURIComponent(tag)}`;
+    const feedLinks = buildFeedLinks(path, `${path}/posts.json`, {}, page, nextCursor);
+    renderPostPage(res, { posts, user, feedLinks, nextCursor });
 });
 
 // Register GET route is used for error response from registration
 //
 app.get('/registerUsername', (req, res) => {
+    if (!req.session.pendingLogin) {
+        res.redirect('/login');
+        return;
+    }
     res.render('registerUsername', { regError: req.query.error });
 });
 
 // Login route GET route is used for error response from login
 //
 app.get('/login', (req, res) => {
-    res.render('login', { loginError: req.query.error })
+    res.render('login', { loginError: req.query.error, loginMessage: req.query.message })
+});
+
+// Signup GET route shows the email and password form, errors come back in the query string
+//
+app.get('/signup', (req, res) => {
+    res.render('signup', { signupError: req.query.error });
+});
+
+// Forgot password GET route, asks for the email a reset link should be sent to
+//
+app.get('/forgotPassword', (req, res) => {
+    res.render('forgotPassword', { sent: req.query.sent === '1' });
+});
+
+// Reset password GET route, opened from the link in a password reset email
+//
+app.get('/resetPassword', async (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    const reset = await findPasswordReset(token);
+    res.render('resetPassword', { token, validToken: Boolean(reset), resetError: req.query.error });
 });
 
 // Error route: render error page
 //
 app.get('/error', (req, res) => {
-    res.render('error');
+    res.status(500).render('error');
 });
 
-//Adds a new post to the db
+//Adds a new post to the db, redirects home with an error if the trail fields or GPX file are invalid
 //
-app.post('/posts', async (req, res) => {
-    await addPost(req.body.title, req.body.content, await getCurrentUser(req));
-    res.redirect('/');
+app.post('/posts', rateLimit('posts'), handlePostUpload, async (req, res) => {
+    const { trail, error } = parseTrailFields(req.body);
+    const { tags, error: tagError } = parseTags(req.body.tags);
+    // the box for planning a group hike adds its details to the post
+    const { event, error: eventError } = req.body.isEvent ? parseEventFields(req.body) : {};
+    // Save Draft and Schedule keep the post to its author for now
+    const { publishing = {}, error: publishingError } = parsePublishing(req.body);
+    if (error || tagError || eventError || publishingError) {
+        res.redirect('/?error=' + encodeURIComponent(error || tagError || eventError || publishingError));
+        return;
+    }
+
+    let track = null;
+    const gpxFile = req.files && req.files.gpx ? req.files.gpx[0] : null;
+    if (gpxFile) {
+        try {
+            track = parseGpx(gpxFile.buffer.toString('utf8'));
+        } catch (err) {
+            res.redirect('/?error=' + encodeURIComponent(err.message));
+            return;
+        }
+        fillTrailFieldsFromTrack(trail, track.stats);
+    }
+
+    let photos = [];
+    const photoFiles = req.files && req.files.photos ? req.files.photos : [];
+    try {
+        photos = await Promise.all(photoFiles.map(processPhoto));
+    } catch (err) {
+        res.redirect('/?error=' + encodeURIComponent(err.message));
+        return;
+    }
+
+    const postId = await addPost(req.body.title, req.body.content, await getCurrentUser(req), trail, tags, event, publishing);
+    if (postId && track) {
+        await addTrack(postId, track);
+    }
+    if (postId && photos.length > 0) {
+        await addPhotos(postId, photos);
+    }
+    res.redirect(publishing.status && publishing.status !== 'published' ? '/profile#drafts' : '/');
 });
 
-//Update a posts likes
+//Like a post, or unlike it if the current user already liked it
 //
-app.post('/like/:id', async (req, res) => {
+app.post('/like/:id', rateLimit('likes'), async (req, res) => {
     if(req.session.username !== undefined){
         await updatePostLikes(req,res);
     }
     res.redirect('/');
 });
 
-//Returns profile template
+//Adds a comment to a post, or a reply when a parent comment id is given
 //
-app.get('/profile', isAuthenticated, async (req, res) => {
-    // TODO: Render profile page
-    const user = await getCurrentUser(req);
-    const posts = await renderProfile(req, res)
-    res.render('profile', {posts, user, regError: req.query.error})
+app.post('/posts/:id/comments', isAuthenticated, rateLimit('comments'), async (req, res) => {
+    await addComment(req, res);
+    res.redirect('back');
 });
 
-//Reuturns a user avatar based on a username
+//Updates the text of a comment, only the author can edit it
 //
-app.get('/avatar/:username', async (req, res) => {
-    const avatar = await handleAvatar(req,res);
-    res.setHeader('Content-Type', 'image/png');
-    res.send(avatar);
+app.post('/comments/:id/edit', isAuthenticated, rateLimit('comments'), async (req, res) => {
+    await updateComment(req, res);
+    res.redirect('back');
 });
 
-//Directs the users to google OAuth sign in
+//Deletes a comment and its replies, only the author can delete it
 //
-app.get('/auth/google', passport.authenticate('google', { scope: ['profile'] }))
+app.post('/comments/:id/delete', isAuthenticated, rateLimit('deletes'), async (req, res) => {
+    await deleteComment(req, res);
+    res.redirect('back');
+});
 
-//logs in the user if the hashedGoogle id exists, otherwise redirect to register
+//Edit form for a post, only the author can open it
 //
-app.get('/auth/google/callback', 
-    passport.authenticate('google', {failureRedirect: '/'}), 
-    async (req, res) => {
-        const googleId = req.user.id;
-        const hashedGoogleId = hashId(googleId)
-        req.session.hashedGoogleId = hashedGoogleId;
+app.get('/posts/:id/edit', isAuthenticated, async (req, res) => {
+    const post = await findOwnedPost(req, res);
+    if (!post) {
+        renderNotFound(req, res, 'Post not found');
+        return;
+    }
+    const user = await getCurrentUser(req);
+    res.render('editPost', { post, user, editError: req.query.error });
+});
 
-        try {
-            let localUser = await findUserByHashedGoogleId(hashedGoogleId);
-            if (localUser) {
-                req.session.userId = localUser.id;
-                req.session.loggedIn = true;
-                req.session.username = localUser.username;
-                req.session.avatar_url = localUser.avatar_url;
-                req.session.memberSince = localUser.memberSince;
-                res.redirect('/');
-            } else {
-                res.redirect('/registerUsername');
-            }
-        }
-        catch(err){
-            console.error('Error finding user:', err);
-            res.redirect('/error');
-        }
+//Saves an edit to a post, keeping the previous version as a revision
+//
+app.post('/posts/:id/edit', isAuthenticated, async (req, res) => {
+    const { trail, error } = parseTrailFields(req.body);
+    const { tags, error: tagError } = parseTags(req.body.tags);
+    // only the edit form of a group hike has its details
+    const { event, error: eventError } = 'meetingPoint' in req.body
+        ? parseEventFields(req.body, { requireFuture: false })
+        : {};
+    // drafts and scheduled posts have buttons for when they go out
+    const { publishing, error: publishingError } = parsePublishing(req.body);
+    const title = parseOptionalText(req.body.title);
+    const content = parseOptionalText(req.body.content);
+    if (error || tagError || eventError || publishingError || !title || !content) {
+        const message = error || tagError || eventError || publishingError || 'Title and content are required';
+        res.redirect(`/posts/${req.params.id}/edit?error=` + encodeURIComponent(message));
+        return;
+    }
+    await updatePost(req, res, { title, content, ...trail }, tags, event, publishing);
+    res.redirect(publishing && publishing.status !== 'published' ? '/profile#drafts' : `/posts/${req.params.id}`);
 });
 
+//Publishes a draft or scheduled post right away
+//
+app.post('/posts/:id/publish', isAuthenticated, async (req, res) => {
+    await publishDraft(req, res);
+    res.redirect(`/posts/${encodeURIComponent(req.params.id)}`);
+});
 
-//Clears session variables and redirects to homepage
+//Answer going, maybe or not going to a group hike
 //
-app.get('/logout', (req, res) => {
-    logoutUser(req,res);
-    res.redirect('/googleLogout');
+app.post('/posts/:id/rsvp', isAuthenticated, rateLimit('rsvps'), async (req, res) => {
+    const error = await respondToEvent(req, res);
+    if (error) {
+        res.redirect(`/posts/${encodeURIComponent(req.params.id)}?rsvpError=` + encodeURIComponent(error));
+        return;
+    }
+    res.redirect('back');
 });
 
-//Logs out user from google
+//Download a group hike as an iCalendar file for calendar apps
 //
-app.get('/googleLogout', (req, res) => {
-    res.render('googleLogout');
+app.get('/posts/:id/event.ics', async (req, res) => {
+    const post = await getPost(req.params.id, req.session.userId);
+    if (!post || !post.event || !canSeePost(req, post)) {
+        renderNotFound(req, res, 'Group hike not found');
+        return;
+    }
+    const calendar = buildICalendar(post, {
+        appName: res.locals.appName,
+        host: req.hostname,
+        baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+    res.attachment(`hike-${post.id}.ics`);
+    res.type('text/calendar').send(calendar);
 });
 
-//redirects to home after succeful logout
+//Form for turning a group hike that has happened into a trip report
 //
-app.get('/logoutCallback', (req, res) => {
-    res.redirect('/');
+app.get('/posts/:id/convert', isAuthenticated, async (req, res) => {
+    const post = await findConvertibleEvent(req, res);
+    if (!post) {
+        renderNotFound(req, res, 'Group hike not found');
+        return;
+    }
+    const user = await getCurrentUser(req);
+    // the hike's date is the most likely date hiked
+    const dateHiked = post.dateHiked || post.event.startTime.slice(0, 10);
+    res.render('convertEvent', { post, user, dateHiked, convertError: req.query.error });
 });
 
+//Turns a group hike into a trip report, keeping the previous version as a revision
+//
+app.post('/posts/:id/convert', isAuthenticated, async (req, res) => {
+    const { trail, error } = parseTrailFields(req.body);
+    const { tags, error: tagError } = parseTags(req.body.tags);
+    const title = parseOptionalText(req.body.title);
+    const content = parseOptionalText(req.body.content);
+    if (error || tagError || !title || !content) {
+        const message = error || tagError || 'Title and content are required';
+        res.redirect(`/posts/${req.params.id}/convert?error=` + encodeURIComponent(message));
+        return;
+    }
+    await convertEvent(req, res, { title, content, ...trail }, tags, parseAttendeeIds(req.body.attendees));
+    res.redirect(`/posts/${req.params.id}`);
+});
 
-//Register post route to add user name to registered user name list
+//Shows an earlier version of a post to its author
 //
-app.post('/registerUsername', async (req, res) => {
-    if(!await findUserByUsername(req.body.userName)){
-        await registerUser(req, res);
-        await loginUser(req, res);
-        res.redirect('/'); //Return to login/reg page, user has been added
+app.get('/posts/:id/revisions/:revisionId', isAuthenticated, async (req, res) => {
+    const revision = await findOwnedRevision(req, res);
+    if (!revision) {
+        renderNotFound(req, res, 'Revision not found');
+        return;
     }
-    else{
-        res.redirect('/registerUsername?error=Already%20Registered'); //Return to log/reg page with error
+    const user = await getCurrentUser(req);
+    res.render('revision', { revision, user });
+});
+
+//Puts an earlier version of a post back, the version it replaces becomes a revision too
+//
+app.post('/posts/:id/revisions/:revisionId/restore', isAuthenticated, async (req, res) => {
+    const revision = await findOwnedRevision(req, res);
+    if (revision) {
+        await updatePost(req, res, pickPostFields(revision));
     }
+    res.redirect('/profile');
 });
 
-//Updates current users username
+//Returns profile template
 //
-app.post('/updateUsername', async (req,res) => {
-    const user = await findUserByUsername(req.body.userName);
-    if(user){
-        res.redirect('/Profile?error=Already%20Registered');
+app.get('/profile', isAuthenticated, async (req, res) => {
+    const user = await getCurrentUser(req);
+    const posts = await renderProfile(req, res)
+    const profile = await getUserProfile(user.username);
+    const apiTokens = await getApiTokens(req, res);
+    const logins = await getUserLogins(req, res);
+    const sessions = await getUserSessions(req, res);
+    const avatar = await getAvatarSettings(req, res);
+    const collections = await getUserCollections(user.id);
+    const drafts = await getDrafts(user.id);
+    const notificationPreferences = await getNotificationPreferences(req, res);
+    // A new token is only ever shown once, right after it is generated
+    const newApiToken = req.session.newApiToken;
+    req.session.newApiToken = undefined;
+    const importResult = req.query.imported === undefined ? null : {
+        imported: Number(req.query.imported) || 0,
+        duplicates: Number(req.query.duplicates) || 0
+    };
+    res.render('profile', {posts, user, profile, apiTokens, newApiToken, importResult, logins, sessions, avatar, collections, drafts,
+        notificationPreferences,
+        hasGoogleLogin: logins.some(login => login.provider === 'google'),
+        hasLocalLogin: logins.some(login => login.provider === 'local'),
+        canRemoveLogin: logins.length > 1,
+        regError: req.query.error, dataError: req.query.dataError, loginError: req.query.loginError,
+        avatarError: req.query.avatarError, collectionError: req.query.collectionError})
+});
+
+//Public profile page of any member with their stats and posts
+//
+app.get('/users/:username', async (req, res) => {
+    const profile = await getUserProfile(req.params.username);
+    if (!profile) {
+        renderNotFound(req, res, 'No hiker goes by that name');
+        return;
     }
-    else{
-        await updateUserInDB(req, res);
-        req.session.username = req.body.userName;
-        res.redirect('/Profile');
+    const filters = { username: profile.username };
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts(filters, req.session.userId, page);
+    const user = await getCurrentUser(req) || {};
+    const path = `/users/${encodeURIComponent(profile.username)}`;
+    const feedLinks = buildFeedLinks(path, `${path}/posts.json`, {}, page, nextCursor);
+    const following = await isFollowing(req.session.userId, profile.id);
+    const collections = await getUserCollections(profile.id);
+    res.render('userProfile', { profile, posts, user, page, feedLinks, following, collections });
+});
+
+//Next page of a member's posts as JSON for infinite scroll
+//
+app.get('/users/:username/posts.json', async (req, res) => {
+    const profile = await getUserProfile(req.params.username);
+    if (!profile) {
+        res.status(404).json({ error: 'User not found' });
+        return;
     }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts({ username: profile.username }, req.session.userId, page);
+    const user = await getCurrentUser(req) || {};
+    const path = `/users/${encodeURIComponent(profile.username)}`;
+    const feedLinks = buildFeedLinks(path, `${path}/posts.json`, {}, page, nextCursor);
+    renderPostPage(res, { posts, user, feedLinks, nextCursor });
 });
 
-//Deletes a post based on a post id
+//RSS or Atom feed of a member's latest posts
 //
-app.post('/delete/:id', isAuthenticated, async (req, res) => {
-    await deletePost(req,res);
-    res.redirect('/');
+app.get('/users/:username/feed.:format(rss|atom)', async (req, res) => {
+    const profile = await getUserProfile(req.params.username);
+    if (!profile) {
+        renderNotFound(req, res, 'No hiker goes by that name');
+        return;
+    }
+    const posts = await getFeedPosts({ username: profile.username });
+    sendFeed(req, res, {
+        title: `${res.locals.appName}: ${profile.username}`,
+        path: `/users/${encodeURIComponent(profile.username)}`,
+        selfPath: `/users/${encodeURIComponent(profile.username)}/feed.${req.params.format}`,
+        id: `user/${profile.id}`
+    }, posts);
 });
 
-//Deletes a users account from the db and all posts
-//then logs them out of their session
+//Follow another member
 //
-app.post('/deleteAccount', isAuthenticated, async (req, res) => {
-    await deleteUserPosts(req, res);
-    await deleteUser(req, res);
-    await logoutUser(req, res);
-    res.redirect('/googleLogout');
+app.post('/users/:username/follow', isAuthenticated, async (req, res) => {
+    await followUser(req, res);
+    res.redirect('back');
 });
 
-//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-// Server Activation
-//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//Stop following a member
+//
+app.post('/users/:username/unfollow', isAuthenticated, async (req, res) => {
+    await unfollowUser(req, res);
+    res.redirect('back');
+});
 
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
+//The current user's latest notifications
+//
+app.get('/notifications', isAuthenticated, async (req, res) => {
+    const notifications = await getNotifications(req, res);
+    const user = await getCurrentUser(req);
+    res.render('notifications', { notifications, user });
 });
 
-//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-//Hashing Function
-//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//Streams the current user's new notifications to the page as Server-Sent Events
+//
+app.get('/notifications/stream', isAuthenticated, (req, res) => {
+    openNotificationStream(req, res);
+});
 
-const hashId = (id) => {
-    return crypto.createHash('sha256').update(id.toString()).digest('hex');
-};
+//Marks all of the current user's notifications read
+//
+app.post('/notifications/read', isAuthenticated, async (req, res) => {
+    await markNotificationsRead(req, res);
+    res.redirect('/notifications');
+});
+
+//Marks one notification read
+//
+app.post('/notifications/:id/read', isAuthenticated, async (req, res) => {
+    await markNotificationsRead(req, res, req.params.id);
+    res.redirect('/notifications');
+});
 
+//Saves which notifications the current user gets
+//
+app.post('/notifications/preferences', isAuthenticated, async (req, res) => {
+    await updateNotificationPreferences(req, res);
+    res.redirect('/profile#notifications');
+});
 
-//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-//Initlize DB
-//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//Add a named collection of posts for the current user
+//
+app.post('/collections', isAuthenticated, rateLimit('account'), async (req, res) => {
+    const error = await createCollection(req, res);
+    res.redirect(error ? '/profile?collectionError=' + encodeURIComponent(error) : '/profile');
+});
 
-const dbFileName = 'websiteData.db';
+//Delete one of the current user's collections
+//
+app.post('/collections/:id/delete', isAuthenticated, async (req, res) => {
+    await deleteCollection(req, res);
+    res.redirect('/profile');
+});
 
-async function initializeDB() {
-    const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
+//Save a post to one of the current user's collections
+//
+app.post('/collections/:id/posts', isAuthenticated, async (req, res) => {
+    await addToCollection(req, res);
+    res.redirect('back');
+});
 
-    // Check if users and posts tables exist
-    const usersTableExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='users';`);
-    const postsTableExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='posts';`);
+//Take a post out of one of the current user's collections
+//
+app.post('/collections/:id/posts/:postId/remove', isAuthenticated, async (req, res) => {
+    await removeFromCollection(req, res);
+    res.redirect('back');
+});
 
-    if (usersTableExists && postsTableExists) {
-        console.log('Database tables already exist. Skipping initialization.');
-        await db.close();
+//A collection's posts, sorted like the home feed
+//
+app.get('/collections/:id', async (req, res) => {
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+        renderNotFound(req, res, 'Collection not found');
         return;
     }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts({ collectionId: collection.id }, req.session.userId, page);
+    const user = await getCurrentUser(req) || {};
+    const path = `/collections/${collection.id}`;
+    const feedLinks = buildFeedLinks(path, `${path}/posts.json`, {}, page, nextCursor);
+    const isOwner = collection.user_id === req.session.userId;
+    res.render('collection', { collection, posts, user, page, feedLinks, isOwner });
+});
 
-    // If tables don't exist, initialize them and populate with sample data
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT NOT NULL UNIQUE,
-            hashedGoogleId TEXT NOT NULL UNIQUE,
-            avatar_url TEXT,
-            memberSince DATETIME NOT NULL
-        );
-
-        CREATE TABLE IF NOT EXISTS posts (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            content TEXT NOT NULL,
-            username TEXT NOT NULL,
-            timestamp DATETIME NOT NULL,
-            likes INTEGER NOT NULL
-        );
-    `);
+//Next page of a collection's posts as JSON for infinite scroll
+//
+app.get('/collections/:id/posts.json', async (req, res) => {
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+        res.status(404).json({ error: 'Collection not found' });
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts({ collectionId: collection.id }, req.session.userId, page);
+    const user = await getCurrentUser(req) || {};
+    const path = `/collections/${collection.id}`;
+    const feedLinks = buildFeedLinks(path, `${path}/posts.json`, {}, page, nextCursor);
+    renderPostPage(res, { posts, user, feedLinks, nextCursor });
+});
 
-    const test1 = generateAvatar('S');
-    const test2 = generateAvatar('A');
-    // Sample data - Replace these arrays with your own data
-    const users = [
-        { username: 'SampleUser', hashedGoogleId: 'hashedGoogleId1', avatar_url: test1, memberSince: '2024-01-01 12:00:00' },
-        { username: 'AnotherUser', hashedGoogleId: 'hashedGoogleId2', avatar_url: test2, memberSince: '2024-01-02 12:00:00' }
-    ];
+//Downloads the current user's profile, posts, likes and avatar as a ZIP archive
+//
+app.get('/exportAccount', isAuthenticated, async (req, res) => {
+    const archive = await exportAccount(req, res);
+    if (!archive) {
+        res.redirect('/profile?dataError=' + encodeURIComponent('Your data could not be exported, please try again'));
+        return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`${req.session.username}-export-${date}.zip`);
+    res.type('application/zip').send(archive);
+});
 
-    const posts = [
-        { title: 'First Post', content: 'This is the first post', username: 'SampleUser', timestamp: '2024-01-01 12:30:00', likes: 0 },
-        { title: 'Second Post', content: 'This is the second post', username: 'AnotherUser', timestamp: '2024-01-02 12:30:00', likes: 0 }
-    ];
+//Recreates posts from an archive made by /exportAccount, skipping posts that are already here
+//
+app.post('/importAccount', isAuthenticated, rateLimit('posts'), handleImportUpload, async (req, res) => {
+    const { result, error } = await importAccount(req, res);
+    if (error) {
+        res.redirect('/profile?dataError=' + encodeURIComponent(error));
+        return;
+    }
+    res.redirect(`/profile?imported=${result.imported}&duplicates=${result.duplicates}`);
+});
+
+//Generates a personal API token for scripts and other non-browser clients
+//
+app.post('/apiTokens', isAuthenticated, rateLimit('account'), async (req, res) => {
+    req.session.newApiToken = await createApiToken(req, res);
+    res.redirect('/profile');
+});
+
+//Revokes one of the current user's API tokens
+//
+app.post('/apiTokens/:id/delete', isAuthenticated, async (req, res) => {
+    await deleteApiToken(req, res);
+    res.redirect('/profile');
+});
+
+//Returns a user's avatar at ?size= pixels square, the photo they uploaded or one drawn
+//from their username. Unknown usernames get a placeholder image
+//
+app.get('/avatar/:username', async (req, res) => {
+    const avatar = await handleAvatar(req, res);
+    // Browsers keep avatars but check the ETag each time, so a new upload shows up right away.
+    // The ETag is known before anything is drawn, so an unchanged avatar only costs a lookup
+    res.setHeader('Cache-Control', 'public, no-cache');
+    res.setHeader('ETag', avatar.etag);
+    if (req.fresh) {
+        res.status(304).end();
+        return;
+    }
+    const drawn = await drawAvatar(avatar);
+    if (!drawn || drawn.etag !== avatar.etag) {
+        // the ETag belongs to the image that couldn't be drawn, so nothing sent instead is kept
+        res.removeHeader('ETag');
+        res.setHeader('Cache-Control', 'no-store');
+    }
+    if (!drawn) {
+        res.status(500).send('Avatar could not be drawn');
+        return;
+    }
+    res.setHeader('Content-Type', drawn.type);
+    res.send(drawn.image);
+});
+
+//Replaces the current user's avatar with an uploaded photo, cropped to a square
+//
+app.post('/avatar', isAuthenticated, rateLimit('account'), handleAvatarUpload, async (req, res) => {
+    const error = await uploadAvatar(req, res);
+    res.redirect(error ? '/profile?avatarError=' + encodeURIComponent(error) : '/profile');
+});
+
+//Removes the uploaded photo so the generated avatar is used again
+//
+app.post('/avatar/delete', isAuthenticated, rateLimit('account'), async (req, res) => {
+    await removeAvatarUpload(req, res);
+    res.redirect('/profile');
+});
+
+//Sets the colors the generated avatar is drawn with
+//
+app.post('/avatar/theme', isAuthenticated, rateLimit('account'), async (req, res) => {
+    await setAvatarTheme(req, res);
+    res.redirect('/profile');
+});
+
+//Returns the route map or elevation profile image rendered from a post's GPX track
+//
+app.get('/track/:id/:image', async (req, res) => {
+    const image = await handleTrackImage(req, res);
+    if (!image) {
+        res.status(404).send('Track image not found');
+        return;
+    }
+    res.setHeader('Content-Type', 'image/png');
+    res.send(image);
+});
+
+//Returns a resized, metadata free copy of a photo attached to a post
+//
+app.get('/photo/:id/:size', async (req, res) => {
+    const photo = await handlePhoto(req, res);
+    if (!photo) {
+        res.status(404).send('Photo not found');
+        return;
+    }
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.send(photo);
+});
+
+//Directs the users to google OAuth sign in
+//
+app.get('/auth/google', passport.authenticate('google', { scope: ['profile'] }))
+
+//logs in the user if the hashedGoogle id exists, otherwise redirect to register
+//
+//keepSessionInfo holds on to the logged in user when a Google account is being linked
+//
+app.get('/auth/google/callback', 
+    passport.authenticate('google', {failureRedirect: '/', keepSessionInfo: true}), 
+    async (req, res) => {
+        const googleId = req.user.id;
+        const hashedGoogleId = hashId(googleId)
+
+        try {
+            if (req.session.linkingGoogle && req.session.userId) {
+                req.session.linkingGoogle = undefined;
+                const linked = await addUserLogin(req.session.userId, 'google', hashedGoogleId);
+                res.redirect(linked ? '/profile' : '/profile?loginError=' + encodeURIComponent('That Google account is already in use'));
+                return;
+            }
+
+            let localUser = await findUserByLogin('google', hashedGoogleId);
+            if (localUser && localUser.suspendedAt) {
+                res.redirect('/login?error=' + encodeURIComponent('This account has been suspended'));
+            } else if (localUser) {
+                await startUserSession(req, localUser);
+                res.redirect('/');
+            } else {
+                req.session.pendingLogin = { provider: 'google', providerId: hashedGoogleId };
+                res.redirect('/registerUsername');
+            }
+        }
+        catch(err){
+            console.error('Error finding user:', err);
+            res.redirect('/error');
+        }
+});
+
+
+//Sends a logged in user through Google sign in to add it as another way to log in
+//
+app.get('/auth/google/link', isAuthenticated, (req, res) => {
+    req.session.linkingGoogle = true;
+    res.redirect('/auth/google');
+});
+
+//Logs in with an email and password
+//
+app.post('/login/local', rateLimit('login'), (req, res, next) => {
+    passport.authenticate('local', { session: false }, async (err, user, info) => {
+        if (err) {
+            console.error('Error logging in:', err);
+            res.redirect('/error');
+        } else if (!user) {
+            res.redirect('/login?error=' + encodeURIComponent(info.message));
+        } else {
+            await startUserSession(req, user);
+            res.redirect('/');
+        }
+    })(req, res, next);
+});
+
+//Checks a new email and password, then continues to /registerUsername to pick a username
+//
+app.post('/signup', rateLimit('account'), async (req, res) => {
+    const { credentials, error } = parseNewCredentials(req.body);
+    if (error) {
+        res.redirect('/signup?error=' + encodeURIComponent(error));
+        return;
+    }
+    if (await findLocalLogin(credentials.email)) {
+        res.redirect('/signup?error=' + encodeURIComponent('An account already uses that email'));
+        return;
+    }
+    req.session.pendingLogin = {
+        provider: 'local',
+        providerId: credentials.email,
+        passwordHash: await hashPassword(credentials.password)
+    };
+    res.redirect('/registerUsername');
+});
+
+//Emails a password reset link. The response is the same whether or not the email has
+//an account so the form can't be used to find out who is registered
+//
+app.post('/forgotPassword', rateLimit('account'), async (req, res) => {
+    await requestPasswordReset(req, res);
+    res.redirect('/forgotPassword?sent=1');
+});
+
+//Sets a new password using the token from a reset email
+//
+app.post('/resetPassword', rateLimit('account'), async (req, res) => {
+    const token = typeof req.body.token === 'string' ? req.body.token : '';
+    const error = await resetPassword(token, req.body);
+    if (error) {
+        res.redirect(`/resetPassword?token=${encodeURIComponent(token)}&error=${encodeURIComponent(error)}`);
+        return;
+    }
+    res.redirect('/login?message=' + encodeURIComponent('Your password has been changed, log in with the new one'));
+});
+
+//Adds an email and password login to the current user
+//
+app.post('/logins/local', isAuthenticated, rateLimit('account'), async (req, res) => {
+    const error = await addLocalLogin(req, res);
+    res.redirect(error ? '/profile?loginError=' + encodeURIComponent(error) : '/profile');
+});
+
+//Removes one of the current user's login methods, as long as another one is left
+//
+app.post('/logins/:id/delete', isAuthenticated, rateLimit('account'), async (req, res) => {
+    const error = await removeUserLogin(req, res);
+    res.redirect(error ? '/profile?loginError=' + encodeURIComponent(error) : '/profile');
+});
+
+//Signs out one of the current user's other sessions
+//
+app.post('/sessions/:id/delete', isAuthenticated, async (req, res) => {
+    await deleteSession(req, res);
+    res.redirect('/profile');
+});
+
+//Signs the current user out of every session, this one included
+//
+app.post('/signOutEverywhere', isAuthenticated, async (req, res) => {
+    await deleteUserSessions(req, res);
+    await logoutUser(req, res);
+    res.redirect('/login?message=' + encodeURIComponent('You have been signed out everywhere'));
+});
+
+//Ends the session and redirects to homepage
+//
+app.get('/logout', async (req, res) => {
+    await logoutUser(req,res);
+    res.redirect('/googleLogout');
+});
+
+//Logs out user from google
+//
+app.get('/googleLogout', (req, res) => {
+    res.render('googleLogout');
+});
+
+//redirects to home after succeful logout
+//
+app.get('/logoutCallback', (req, res) => {
+    res.redirect('/');
+});
+
+
+//Register post route to add user name to registered user name list
+//
+app.post('/registerUsername', rateLimit('account'), async (req, res) => {
+    if (!req.session.pendingLogin) {
+        res.redirect('/login');
+    }
+    else if(!await findUserByUsername(req.body.userName)){
+        await registerUser(req, res);
+        await loginUser(req, res);
+        res.redirect('/'); //Return to login/reg page, user has been added
+    }
+    else{
+        res.redirect('/registerUsername?error=Already%20Registered'); //Return to log/reg page with error
+    }
+});
+
+//Updates current users username
+//
+app.post('/updateUsername', isAuthenticated, rateLimit('account'), async (req,res) => {
+    if(await updateUserInDB(req, res)){
+        req.session.username = req.body.userName;
+        res.redirect('/Profile');
+    }
+    else{
+        res.redirect('/Profile?error=Already%20Registered');
+    }
+});
+
+//Deletes a post based on a post id
+//
+app.post('/delete/:id', isAuthenticated, rateLimit('deletes'), async (req, res) => {
+    await deletePost(req,res);
+    res.redirect('/');
+});
+
+//Reports a post to the moderators
+//
+app.post('/posts/:id/report', isAuthenticated, rateLimit('reports'), async (req, res) => {
+    await reportContent(req, res, 'post');
+    res.redirect('back');
+});
+
+//Reports a comment to the moderators
+//
+app.post('/comments/:id/report', isAuthenticated, rateLimit('reports'), async (req, res) => {
+    await reportContent(req, res, 'comment');
+    res.redirect('back');
+});
+
+//Moderation dashboard with open reports, hidden content, suspended users and the audit log
+//
+app.get('/admin', isAuthenticated, requireAdmin, async (req, res) => {
+    const user = await getCurrentUser(req);
+    const dashboard = await getModerationDashboard();
+    res.render('admin', { user, ...dashboard });
+});
+
+//Hides, restores or deletes a post or comment
+//
+app.post('/admin/:type(posts|comments)/:id/:action(hide|restore|delete)', isAuthenticated, requireAdmin, async (req, res) => {
+    await moderateContent(req, res);
+    res.redirect('/admin');
+});
+
+//Suspends a user, or lifts the suspension
+//
+app.post('/admin/users/:id/:action(suspend|unsuspend)', isAuthenticated, requireAdmin, async (req, res) => {
+    await setUserSuspended(req, res, req.params.action === 'suspend');
+    res.redirect('/admin');
+});
+
+//Closes a report without acting on the content
+//
+app.post('/admin/reports/:id/dismiss', isAuthenticated, requireAdmin, async (req, res) => {
+    await dismissReport(req, res);
+    res.redirect('/admin');
+});
+
+//Deletes a users account from the db and all posts
+//then logs them out of their session
+//
+app.post('/deleteAccount', isAuthenticated, rateLimit('account'), async (req, res) => {
+    await deleteUser(req, res);
+    await logoutUser(req, res);
+    res.redirect('/googleLogout');
+});
+
+//Anything that didn't match a route above gets the 404 page
+//
+app.use((req, res) => {
+    renderNotFound(req, res, 'Page not found');
+});
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// API Routes
+//
+// Everything under /api/v1 answers with JSON. Errors always look like
+// { "error": { "status": 404, "code": "not_found", "message": "..." } }
+// and use the matching status code instead of redirecting. The routes reuse
+// the same data functions as the HTML routes above.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+apiRouter.use(express.json());
+apiRouter.use(authenticateApiRequest);
+apiRouter.use(loadAccountStatus);
+apiRouter.use(rateLimit('default'));
+
+//Lists posts a page at a time, takes the same filters, sort and cursor as the home page
+//
+apiRouter.get('/posts', async (req, res) => {
+    const filters = parsePostFilters(req.query);
+    if (filters.feed === 'following' && !req.session.userId) {
+        apiError(res, 401, 'unauthorized', 'Authentication is required for the following feed');
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts(filters, req.session.userId, page);
+    const feedLinks = buildFeedLinks('/api/v1/posts', '/api/v1/posts', filters, page, nextCursor);
+    res.json({ posts: posts.map(serializePost), nextCursor, next: feedLinks.next });
+});
+
+//Creates a post from title, content and the optional trail fields
+//
+apiRouter.post('/posts', requireApiUser, rateLimit('posts'), async (req, res) => {
+    const body = req.body || {};
+    const { trail, error } = parseTrailFields(body);
+    const { tags, error: tagError } = parseTags(body.tags);
+    // a group hike sends its details as event, its difficulty is the trail difficulty
+    const { event, error: eventError } = body.event ? parseEventFields({ ...body.event, difficulty: trail && trail.difficulty }) : {};
+    // status is draft, scheduled with a publishAt, or published when it's left out
+    const { publishing = {}, error: publishingError } = body.status ? parsePublishing(apiPublishingBody(body)) : {};
+    const statusError = body.status && !publishing.status ? 'status must be draft, scheduled or published' : null;
+    const title = parseOptionalText(body.title);
+    const content = parseOptionalText(body.content);
+    if (error || tagError || eventError || publishingError || statusError || !title || !content) {
+        apiError(res, 400, 'invalid_post', error || tagError || eventError || publishingError || statusError || 'title and content are required');
+        return;
+    }
+    const postId = await addPost(title, content, await getCurrentUser(req), trail, tags, event, publishing);
+    if (!postId) {
+        apiError(res, 500, 'server_error', 'The post could not be saved');
+        return;
+    }
+    const post = await getPost(postId, req.session.userId);
+    res.status(201).location(`/api/v1/posts/${postId}`).json({ post: serializePost(post) });
+});
+
+//Returns a single post with its photos and comments
+//
+apiRouter.get('/posts/:id', async (req, res) => {
+    const post = await getPost(req.params.id, req.session.userId);
+    if (!post || !canSeePost(req, post)) {
+        apiError(res, 404, 'not_found', 'Post not found');
+        return;
+    }
+    res.json({ post: serializePost(post) });
+});
+
+//Updates the fields that are sent, keeping the previous version as a revision
+//
+apiRouter.patch('/posts/:id', requireApiUser, requireApiPostOwner, async (req, res) => {
+    const body = req.body || {};
+    // fields that weren't sent keep their current value
+    const fields = pickPostFields(req.post);
+    EDITABLE_POST_FIELDS.forEach(field => {
+        if (field in body) {
+            fields[field] = body[field];
+        }
+    });
+
+    const { trail, error } = parseTrailFields(fields);
+    // tags that weren't sent are left alone
+    const { tags, error: tagError } = 'tags' in body ? parseTags(body.tags) : {};
+    const { publishing, error: publishingError } = body.status ? parsePublishing(apiPublishingBody(body)) : {};
+    const statusError = body.status && !publishing && !publishingError ? 'status must be draft, scheduled or published' : null;
+    const title = parseOptionalText(fields.title);
+    const content = parseOptionalText(fields.content);
+    if (error || tagError || publishingError || statusError || !title || !content) {
+        apiError(res, 400, 'invalid_post', error || tagError || publishingError || statusError || 'title and content cannot be empty');
+        return;
+    }
+    await updatePost(req, res, { title, content, ...trail }, tags, null, publishing);
+    const post = await getPost(req.params.id, req.session.userId);
+    res.json({ post: serializePost(post) });
+});
+
+//Deletes a post along with everything attached to it
+//
+apiRouter.delete('/posts/:id', requireApiUser, rateLimit('deletes'), requireApiPostOwner, async (req, res) => {
+    await deletePost(req, res);
+    res.status(204).end();
+});
+
+//Lists who liked a post, most recent first
+//
+apiRouter.get('/posts/:id/likes', async (req, res) => {
+    const likes = await getPostLikes(req.params.id);
+    if (!likes) {
+        apiError(res, 404, 'not_found', 'Post not found');
+        return;
+    }
+    res.json({ likes });
+});
+
+//Likes a post as the current user, 409 if they already liked it
+//
+apiRouter.post('/posts/:id/like', requireApiUser, rateLimit('likes'), async (req, res) => {
+    const result = await updatePostLikes(req, res, true);
+    if (!result) {
+        apiError(res, 404, 'not_found', 'Post not found');
+        return;
+    }
+    if (!result.changed) {
+        apiError(res, 409, 'already_liked', 'You already liked this post');
+        return;
+    }
+    const post = await getPost(req.params.id, req.session.userId);
+    res.status(201).json({ liked: true, likes: post.likes });
+});
+
+//Takes back the current user's like, 409 if they hadn't liked it
+//
+apiRouter.delete('/posts/:id/like', requireApiUser, rateLimit('likes'), async (req, res) => {
+    const result = await updatePostLikes(req, res, false);
+    if (!result) {
+        apiError(res, 404, 'not_found', 'Post not found');
+        return;
+    }
+    if (!result.changed) {
+        apiError(res, 409, 'not_liked', 'You have not liked this post');
+        return;
+    }
+    const post = await getPost(req.params.id, req.session.userId);
+    res.json({ liked: false, likes: post.likes });
+});
+
+//Public profile of a member with their totals
+//
+apiRouter.get('/users/:username', async (req, res) => {
+    const profile = await getUserProfile(req.params.username);
+    if (!profile) {
+        apiError(res, 404, 'not_found', 'User not found');
+        return;
+    }
+    res.json({ user: serializeProfile(profile) });
+});
+
+//A member's posts, a page at a time
+//
+apiRouter.get('/users/:username/posts', async (req, res) => {
+    const profile = await getUserProfile(req.params.username);
+    if (!profile) {
+        apiError(res, 404, 'not_found', 'User not found');
+        return;
+    }
+    const page = parseFeedPage(req.query);
+    const { posts, nextCursor } = await getPosts({ username: profile.username }, req.session.userId, page);
+    const path = `/api/v1/users/${encodeURIComponent(profile.username)}/posts`;
+    const feedLinks = buildFeedLinks(path, path, {}, page, nextCursor);
+    res.json({ posts: posts.map(serializePost), nextCursor, next: feedLinks.next });
+});
+
+//Unknown API routes get a JSON 404 rather than the HTML page
+//
+apiRouter.use((req, res) => {
+    apiError(res, 404, 'not_found', 'No such API endpoint');
+});
+
+//Malformed JSON bodies and anything else that goes wrong in an API route
+//
+apiRouter.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        apiError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+        return;
+    }
+    console.error('API error:', err);
+    apiError(res, 500, 'server_error', 'Something went wrong');
+});
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Server Activation
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+//Sets up the database and Google login and returns the app, ready to listen. There is
+//only one app per process so this should only be called once.
+//options.databaseFile is the SQLite file to use, ':memory:' gives an empty db every time.
+//options.googleStrategy replaces the real Google OAuth strategy, the tests use one that
+//never leaves the machine
+async function createApp(options = {}) {
+    database.configure({ filename: options.databaseFile || DATABASE_FILE });
+
+    passport.use('google', options.googleStrategy || new GoogleStrategy({
+        clientID: CLIENT_ID,
+        clientSecret: CLIENT_SECRET,
+        callbackURL: `http://localhost:${PORT}/auth/google/callback`
+    }, (token, tokenSecret, profile, done) => {
+        return done(null, profile);
+    }));
+
+    await initializeDB();
+    // posts that came due while the server was down go out now
+    await publishDuePosts();
+    startBackgroundJobs();
+
+    // the background jobs stop along with the server
+    const listen = app.listen;
+    app.listen = function (...args) {
+        const server = listen.apply(this, args);
+        server.on('close', stopBackgroundJobs);
+        return server;
+    };
+    return app;
+}
+
+// Timers for the jobs that run while the server is up
+const backgroundJobs = [];
+
+//Starts the jobs that run every so often. They only start once the database is
+//configured, since a job that connected first would open the default db file
+function startBackgroundJobs() {
+    backgroundJobs.push(
+        setInterval(pruneRateLimitCounters, 60 * 1000).unref(),
+        setInterval(pruneExpiredSessions, 60 * 60 * 1000).unref(),
+        setInterval(publishDuePosts, PUBLISH_CHECK_SECONDS * 1000).unref(),
+        setInterval(sendNotificationHeartbeats, NOTIFICATION_HEARTBEAT_SECONDS * 1000).unref()
+    );
+}
+
+function stopBackgroundJobs() {
+    backgroundJobs.splice(0).forEach(clearInterval);
+}
+
+// Only start listening when run with `node server.js`, the tests require it and listen themselves
+if (require.main === module) {
+    createApp().then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server is running on http://localhost:${PORT}`);
+        });
+    }).catch(err => {
+        console.error('Error initializing database:', err);
+    });
+}
+
+// publishDuePosts runs on a timer, the tests call it themselves instead of waiting
+module.exports = { createApp, publishDuePosts };
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//Hashing Function
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const hashId = (id) => {
+    return crypto.createHash('sha256').update(id.toString()).digest('hex');
+};
+
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//Initlize DB
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+//Brings the schema up to date with the migrations in migrations/, then fills a
+//brand new database with sample data
+async function initializeDB() {
+    const db = await database.connect();
+    const isNewDatabase = !await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='users';`);
+
+    await database.migrate();
+
+    if (isNewDatabase) {
+        await addSampleData();
+    }
+    if (ADMIN_USERNAMES.length > 0) {
+        const placeholders = ADMIN_USERNAMES.map(() => '?').join(', ');
+        await db.run(`UPDATE users SET role = 'admin' WHERE username IN (${placeholders})`, ADMIN_USERNAMES);
+    }
+}
+
+async function addSampleData() {
+    // Sample data - Replace these arrays with your own data
+    const users = [
+        { username: 'SampleUser', hashedGoogleId: 'hashedGoogleId1', memberSince: '2024-01-01 12:00:00' },
+        { username: 'AnotherUser', hashedGoogleId: 'hashedGoogleId2', memberSince: '2024-01-02 12:00:00' }
+    ];
+
+    const posts = [
+        { title: 'First Post', content: 'This is the first post', username: 'SampleUser', timestamp: '2024-01-01 12:30:00',
+            trailName: 'Mist Trail', region: 'Yosemite', distance: 6.4, elevationGain: 2000, duration: 4.5, difficulty: 'hard', dateHiked: '2023-12-30' },
+        { title: 'Second Post', content: 'This is the second post', username: 'AnotherUser', timestamp: '2024-01-02 12:30:00' }
+    ];
 
     // Insert sample data into the database
-    await Promise.all(users.map(user => {
-        return db.run(
-            'INSERT INTO users (username, hashedGoogleId, avatar_url, memberSince) VALUES (?, ?, ?, ?)',
-            [user.username, user.hashedGoogleId, user.avatar_url, user.memberSince]
+    const userIds = {};
+    for (const user of users) {
+        userIds[user.username] = await database.users.create(user, { provider: 'google', providerId: user.hashedGoogleId });
+    }
+    for (const post of posts) {
+        await database.posts.insert({ ...post, user_id: userIds[post.username] });
+    }
+
+    console.log('Database initialized with sample data.');
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Support Functions
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+//Update a users username in the db, their generated avatar follows the new name.
+//Returns false if someone else already has the username
+async function updateUserInDB(req, res){
+    try {
+        const renamed = await database.users.rename(req.session.userId, req.body.userName);
+        if (renamed) {
+            console.log('User updated successfully');
+        }
+        return renamed;
+    } catch (error) {
+        console.error('Error updating username:', error);
+        return false;
+    }
+}
+
+//delete a user from the db, everything that belongs to them goes with them
+async function deleteUser (req, res){
+    try{
+        await database.users.remove(req.session.userId);
+        console.log('user deleted succefully');
+    }
+    catch (error) {
+        console.error('Error deleting user:', error);
+    }
+}
+
+// Function to find a user by username
+
+async function findUserByUsername(username) {
+    try {
+        const user = await database.users.findByUsername(username);
+
+        if (user) {
+            return user;
+        } else {
+            console.log('User not found.');
+            return false;
+        }
+    } catch (error) {
+        console.error('Error finding user:', error);
+        return false;
+    }
+}
+
+// Function to find a user by one of their login methods, provider is 'google' or 'local'
+async function findUserByLogin(provider, providerId) {
+    try {
+        const user = await database.users.findByLogin(provider, providerId);
+
+        if (user) {
+            return user;
+        } else {
+            console.log('id not found.');
+            return false;
+        }
+    } catch (error) {
+        console.error('Error finding id:', error);
+        return false;
+    }
+}
+
+//get the current time as an ISO 8601 timestamp in UTC, like 2026-10-18T14:03:00.000Z.
+//Pages show it in the reader's own time zone, see the localTime partial
+function getDate(){
+    return new Date().toISOString();
+}
+
+// Function to add a new user along with the login method they signed up with
+async function addUser(username, req) {    
+    try {
+        await database.users.create(
+            { username, memberSince: getDate() },
+            req.session.pendingLogin
+        );
+        console.log('User added successfully');
+    } catch (error) {
+        console.error('Error adding user:', error);
+
+    }
+}
+
+// Middleware to check if user is authenticated
+function isAuthenticated(req, res, next) {
+    console.log(req.session.userId);
+    if (req.session.userId) {
+        next();
+    } else {
+        res.redirect('/login');
+    }
+}
+
+// Function to render the error page, used for refused requests like a missing CSRF token
+async function renderError(req, res, status, title, message) {
+    const user = await getCurrentUser(req) || {};
+    res.status(status).render('error', { status, title, message, user });
+}
+
+// Function to render the 404 page with a message saying what wasn't found
+async function renderNotFound(req, res, message) {
+    const user = await getCurrentUser(req) || {};
+    res.status(404).render('notFound', { message, user });
+}
+
+// Function to send a page of posts as JSON along with their HTML from the post partial
+function renderPostPage(res, { posts, user, feedLinks, nextCursor }) {
+    res.render('postList', { layout: false, posts, user }, (err, html) => {
+        if (err) {
+            console.error('Error rendering posts:', err);
+            res.status(500).json({ error: 'Could not render posts' });
+            return;
+        }
+        res.json({
+            posts,
+            html,
+            nextCursor,
+            nextPageUrl: feedLinks.next,
+            nextJsonUrl: feedLinks.nextJson
+        });
+    });
+}
+
+// Middleware to parse multipart post uploads, upload errors are sent back to the post form
+function handlePostUpload(req, res, next) {
+    postUpload(req, res, (err) => {
+        if (err) {
+            res.redirect('/?error=' + encodeURIComponent(err.message));
+        } else {
+            next();
+        }
+    });
+}
+
+// Middleware to parse an uploaded avatar photo, upload errors are sent back to the profile page
+function handleAvatarUpload(req, res, next) {
+    avatarUpload(req, res, (err) => {
+        if (err) {
+            res.redirect('/profile?avatarError=' + encodeURIComponent(err.message));
+        } else {
+            next();
+        }
+    });
+}
+
+// Middleware to parse an uploaded account archive, upload errors are sent back to the profile page
+function handleImportUpload(req, res, next) {
+    importUpload(req, res, (err) => {
+        if (err) {
+            res.redirect('/profile?dataError=' + encodeURIComponent(err.message));
+        } else {
+            next();
+        }
+    });
+}
+
+// Function to register a user
+async function registerUser(req, res) {
+    await addUser(req.body.userName, req);
+}
+
+//Function to login a user
+async function loginUser(req, res) {
+    try {
+        const user = await findUserByUsername(req.body.userName);
+        if (user) {
+            await startUserSession(req, user);
+        } else {
+            console.log("User not found during login.");
+        }
+    } catch (error) {
+        console.error("Error during login:", error);
+        // Handle error case
+    }
+}
+
+// Function to log a user in, whichever way they signed in. The session is regenerated
+// first so an id handed out before logging in can't be used to take over the account
+async function startUserSession(req, user) {
+    console.log("LOGGING IN: ", user.username);
+    await resetSession(req);
+    req.session.userAgent = (req.get('User-Agent') || '').slice(0, 300);
+    req.session.userId = user.id;
+    req.session.loggedIn = true;
+    req.session.username = user.username;
+    req.session.memberSince = user.memberSince;
+    req.session.pendingLogin = undefined;
+}
+
+// Function to logout a user, the session is removed from the store so nothing after
+// this in the request can use req.session
+function logoutUser(req, res) {
+    return new Promise((resolve) => {
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Error destroying session:', err);
+            }
+            resolve();
+        });
+    });
+}
+
+// Function to render the profile page
+async function renderProfile(req, res) {
+    const db = await database.connect();
+
+    let filteredPosts = [];
+
+    // drafts and scheduled posts are listed on their own by getDrafts
+    const posts = await db.all(
+        `${POST_SELECT} WHERE posts.user_id=? AND posts.status = 'published'`,
+        [req.session.userId, req.session.userId]
+    );
+    await attachPhotos(db, posts);
+    await attachTags(db, posts);
+    await attachEvents(db, posts, req.session.userId);
+    await attachComments(db, posts);
+    await attachRevisions(db, posts);
+    if (posts.length > 0) {
+        posts.forEach(post => {
+            filteredPosts.push(post);
+        });
+    } else {
+        console.log('No posts found.');
+    }
+
+    return filteredPosts.slice().reverse();;
+}
+
+// Function to like a post, or take the like back if the current user already liked it.
+// Passing liked turns the like on or off instead of toggling. Returns { liked, changed }
+// with the like's new state, or null if the post doesn't exist
+async function updatePostLikes(req, res, liked) {
+    try {
+        const db = await database.connect();
+        // Retrieve the post by its id, drafts and hidden posts can't be liked
+        const post = await db.get(
+            "SELECT id, user_id FROM posts WHERE id = ? AND status = 'published' AND hiddenAt IS NULL",
+            [req.params.id]
+        );
+        if (!post) {
+            console.log('Post not found');
+            return null;
+        }
+
+        const existing = await db.get('SELECT 1 FROM post_likes WHERE user_id = ? AND post_id = ?', [req.session.userId, post.id]);
+        const wasLiked = Boolean(existing);
+        const nowLiked = liked === undefined ? !wasLiked : liked;
+        if (wasLiked && !nowLiked) {
+            await db.run('DELETE FROM post_likes WHERE user_id = ? AND post_id = ?', [req.session.userId, post.id]);
+            await withdrawNotification(post.user_id, req.session.userId, 'like', { postId: post.id });
+        } else if (!wasLiked && nowLiked) {
+            await db.run('INSERT INTO post_likes (user_id, post_id) VALUES (?, ?)', [req.session.userId, post.id]);
+            await notify(post.user_id, req.session.userId, 'like', { postId: post.id });
+        }
+        return { liked: nowLiked, changed: wasLiked !== nowLiked };
+    } catch (error) {
+        console.error('Error updating likes: ', error);
+        return null;
+    }
+}
+
+//Names of the optional structured trail columns on posts, kept with the posts repository
+const TRAIL_FIELDS = database.TRAIL_COLUMNS;
+
+//Validate the trail fields submitted with a post. Every field is optional,
+//returns { trail } with cleaned values or { error } with a message for the form
+function parseTrailFields(body) {
+    const trail = {
+        trailName: parseOptionalText(body.trailName),
+        region: parseOptionalText(body.region),
+        distance: parseOptionalNumber(body.distance),
+        elevationGain: parseOptionalNumber(body.elevationGain),
+        duration: parseOptionalNumber(body.duration),
+        difficulty: parseOptionalText(body.difficulty),
+        dateHiked: parseOptionalText(body.dateHiked)
+    };
+
+    if (trail.trailName && trail.trailName.length > 100) {
+        return { error: 'Trail name must be 100 characters or less' };
+    }
+    if (trail.region && trail.region.length > 60) {
+        return { error: 'Region must be 60 characters or less' };
+    }
+    if (Number.isNaN(trail.distance) || trail.distance < 0 || trail.distance > 500) {
+        return { error: 'Distance must be a number of miles between 0 and 500' };
+    }
+    if (Number.isNaN(trail.elevationGain) || trail.elevationGain < 0 || trail.elevationGain > 50000) {
+        return { error: 'Elevation gain must be a number of feet between 0 and 50000' };
+    }
+    if (Number.isNaN(trail.duration) || trail.duration < 0 || trail.duration > 500) {
+        return { error: 'Duration must be a number of hours between 0 and 500' };
+    }
+    if (trail.difficulty && !TRAIL_DIFFICULTIES.includes(trail.difficulty)) {
+        return { error: 'Difficulty must be one of ' + TRAIL_DIFFICULTIES.join(', ') };
+    }
+    if (trail.dateHiked && !isValidPastDate(trail.dateHiked)) {
+        return { error: 'Date hiked must be a valid date that is not in the future' };
+    }
+
+    if (trail.elevationGain !== null) {
+        trail.elevationGain = Math.round(trail.elevationGain);
+    }
+    return { trail };
+}
+
+//Read the home page filters from the query string, invalid values are ignored.
+//feed is 'following' for the tab with only posts from followed hikers
+function parsePostFilters(query) {
+    const minDistance = parseOptionalNumber(query.minDistance);
+    const maxDistance = parseOptionalNumber(query.maxDistance);
+    const difficulty = parseOptionalText(query.difficulty);
+
+    return {
+        feed: query.feed === 'following' ? 'following' : null,
+        difficulty: TRAIL_DIFFICULTIES.includes(difficulty) ? difficulty : null,
+        minDistance: Number.isNaN(minDistance) ? null : minDistance,
+        maxDistance: Number.isNaN(maxDistance) ? null : maxDistance,
+        region: parseOptionalText(query.region),
+        tag: normalizeTag(query.tag)
+    };
+}
+
+//Trim a form value, empty values become null. Numbers are accepted too since
+//JSON request bodies don't send them as strings
+function parseOptionalText(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    return value.trim();
+}
+
+//Convert a form value to a number, empty values become null and junk becomes NaN
+function parseOptionalNumber(value) {
+    const text = parseOptionalText(value);
+    if (text === null) {
+        return null;
+    }
+    return Number(text);
+}
+
+//Check a YYYY-MM-DD string is a real calendar date and not after today.
+//A day of slack is allowed since the hiker's today may already be tomorrow in UTC
+function isValidPastDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(value + 'T00:00:00Z');
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return false;
+    }
+    return date.getTime() <= Date.now() + 24 * 60 * 60 * 1000;
+}
+
+//Function to find the first letter of a username
+function getFirstLetter(username){
+    const letters = username.match(/[a-zA-z]/) //Array of letters matching regExp
+
+    if(letters){
+        return letters[0];
+    }
+    else{
+        return 'A'; //Default if username contains no letters
+    }
+}
+
+// Function to get the public profile of a member along with their hiking totals,
+// returns null for unknown usernames
+async function getUserProfile(username) {
+    try {
+        const db = await database.connect();
+        const profile = await db.get('SELECT id, username, memberSince FROM users WHERE username = ?', [username]);
+        if (!profile) {
+            return null;
+        }
+
+        // SUM skips posts without trail stats, the counts tell whether there were any
+        profile.stats = await db.get(
+            `SELECT COUNT(*) AS totalPosts,
+                COALESCE(SUM(likes), 0) AS totalLikes,
+                COUNT(distance) AS postsWithDistance,
+                ROUND(COALESCE(SUM(distance), 0), 1) AS totalDistance,
+                COUNT(elevationGain) AS postsWithElevation,
+                COALESCE(SUM(elevationGain), 0) AS totalElevationGain
+            FROM posts WHERE user_id = ? AND status = 'published' AND hiddenAt IS NULL`,
+            [profile.id]
+        );
+        const follows = await db.get(
+            `SELECT (SELECT COUNT(*) FROM follows WHERE followee_id = ?) AS followers,
+                (SELECT COUNT(*) FROM follows WHERE follower_id = ?) AS following`,
+            [profile.id, profile.id]
+        );
+        profile.stats.followers = follows.followers;
+        profile.stats.following = follows.following;
+        return profile;
+    } catch (error) {
+        console.error('Error getting user profile:', error);
+        return null;
+    }
+}
+
+// Function to get the current user from session
+async function getCurrentUser(req) {
+    return await findUserByUsername(req.session.username);
+}
+
+//Selects posts along with the summary of their GPX track, if they have one, and whether
+//the viewing user liked them. The first parameter must be the viewing user's id (or null)
+const POST_SELECT = `
+    SELECT posts.*, users.username,
+        EXISTS (SELECT 1 FROM post_likes WHERE post_likes.post_id = posts.id AND post_likes.user_id = ?) AS likedByUser,
+        tracks.post_id IS NOT NULL AS hasTrack,
+        tracks.profileImage IS NOT NULL AS hasElevationProfile,
+        tracks.distance AS trackDistance,
+        tracks.elevationGain AS trackElevationGain,
+        tracks.elevationLoss AS trackElevationLoss,
+        tracks.movingTime AS trackMovingTime,
+        tracks.maxElevation AS trackMaxElevation
+    FROM posts
+    JOIN users ON users.id = posts.user_id
+    LEFT JOIN tracks ON tracks.post_id = posts.id`;
+
+// Function to get one page of posts, optionally narrowed down by the home page filters.
+// viewerId is the logged in user, used to tell which posts they liked, and page holds the
+// sort order and cursor from parseFeedPage. Returns { posts, nextCursor }
+async function getPosts(filters = {}, viewerId = null, page = parseFeedPage({})) {
+    const db = await database.connect();
+
+    let userPosts  = [];
+    let nextCursor = null;
+
+    const { where, params } = buildPostFilterClause(filters, viewerId);
+    const sort = buildSortValue(page);
+
+    // Every sort orders by a single number with the post id as tie breaker,
+    // so the cursor is just the (sortValue, id) pair of the last post on the page
+    let cursorClause = '';
+    const cursorParams = [];
+    if (page.cursor) {
+        cursorClause = 'WHERE sortValue < ? OR (sortValue = ? AND id < ?)';
+        cursorParams.push(page.cursor.sortValue, page.cursor.sortValue, page.cursor.id);
+    }
+
+    // Fetch one extra post to find out if there is another page after this one
+    const posts = await db.all(
+        `SELECT * FROM (
+            SELECT feed.*, ${sort.expression} AS sortValue
+            FROM (${POST_SELECT} ${where}) AS feed
+        )
+        ${cursorClause}
+        ORDER BY sortValue DESC, id DESC
+        LIMIT ?`,
+        [...sort.params, viewerId, ...params, ...cursorParams, page.limit + 1]
+    );
+    if (posts.length > page.limit) {
+        posts.pop();
+        const last = posts[posts.length - 1];
+        nextCursor = encodeCursor(last.sortValue, last.id);
+    }
+
+    await attachPhotos(db, posts);
+    await attachTags(db, posts);
+    await attachEvents(db, posts, viewerId);
+    await attachComments(db, posts);
+    if (posts.length > 0) {
+        posts.forEach(post => {
+            userPosts.push(post);
+        });
+    } else {
+        console.log('No posts found.');
+    }
+
+    return { posts: userPosts, nextCursor };
+}
+
+//The number each feed sort orders posts by, as an SQL expression over the feed subquery
+function buildSortValue(page) {
+    if (page.sort === 'liked') {
+        return { expression: 'feed.likes', params: [] };
+    }
+    if (page.sort === 'trending') {
+        return {
+            expression: `(SELECT COUNT(*) FROM post_likes
+                WHERE post_likes.post_id = feed.id AND post_likes.createdAt >= datetime('now', ?))`,
+            params: [`-${page.days} days`]
+        };
+    }
+    // posts published on a schedule go out after posts that were written later
+    return { expression: 'COALESCE(julianday(feed.timestamp), 0)', params: [] };
+}
+
+//Pack the position of the last post on a page into an opaque string for the next page link
+function encodeCursor(sortValue, id) {
+    return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+//Unpack a cursor made by encodeCursor, returns null if it is missing or has been tampered with
+function decodeCursor(value) {
+    if (typeof value !== 'string' || value === '') {
+        return null;
+    }
+    try {
+        const [sortValue, id] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        if (Number.isFinite(sortValue) && Number.isInteger(id)) {
+            return { sortValue, id };
+        }
+    } catch (error) {
+        console.log('Invalid cursor');
+    }
+    return null;
+}
+
+//Read the sort order, trending window and cursor for a page of the feed from the query string
+function parseFeedPage(query) {
+    const days = Number(query.days);
+    return {
+        sort: FEED_SORTS.some(sort => sort.name === query.sort) ? query.sort : 'recent',
+        days: TRENDING_WINDOWS.includes(days) ? days : DEFAULT_TRENDING_DAYS,
+        cursor: decodeCursor(query.cursor),
+        limit: POSTS_PER_PAGE
+    };
+}
+
+//Build a feed URL that keeps the current filters, with the given sort order and cursor
+function buildFeedUrl(path, filters, sort, days, cursor) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+            params.set(key, value);
+        }
+    });
+    if (sort !== 'recent') {
+        params.set('sort', sort);
+    }
+    if (sort === 'trending') {
+        params.set('days', days);
+    }
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+}
+
+//Links for the Everyone and Following tabs of the home feed, keeping the other filters and sort
+function buildFeedTabs(filters, page) {
+    return [
+        { label: 'Everyone', feed: null },
+        { label: 'Following', feed: 'following' }
+    ].map(tab => ({
+        label: tab.label,
+        href: buildFeedUrl('/', { ...filters, feed: tab.feed }, page.sort, page.days, null),
+        active: tab.feed === filters.feed
+    }));
+}
+
+//Links for the sort buttons, trending windows and pages of a feed.
+//path is the HTML page and jsonPath the endpoint serving its later pages
+function buildFeedLinks(path, jsonPath, filters, page, nextCursor) {
+    return {
+        sorts: FEED_SORTS.map(sort => ({
+            label: sort.label,
+            href: buildFeedUrl(path, filters, sort.name, page.days, null),
+            active: sort.name === page.sort
+        })),
+        trendingWindows: TRENDING_WINDOWS.map(days => ({
+            label: days === 1 ? 'today' : `${days} days`,
+            href: buildFeedUrl(path, filters, 'trending', days, null),
+            active: days === page.days
+        })),
+        first: page.cursor ? buildFeedUrl(path, filters, page.sort, page.days, null) : null,
+        next: nextCursor ? buildFeedUrl(path, filters, page.sort, page.days, nextCursor) : null,
+        nextJson: nextCursor ? buildFeedUrl(jsonPath, filters, page.sort, page.days, nextCursor) : null
+    };
+}
+
+// Function to get a single post with its photos and comments, or null if it doesn't exist
+async function getPost(id, viewerId = null) {
+    try {
+        const db = await database.connect();
+        const post = await db.get(`${POST_SELECT} WHERE posts.id = ?`, [viewerId, id]);
+        if (post) {
+            await attachPhotos(db, [post]);
+            await attachTags(db, [post]);
+            await attachEvents(db, [post], viewerId);
+            await attachComments(db, [post]);
+        }
+        return post || null;
+    } catch (error) {
+        console.error('Error getting post:', error);
+        return null;
+    }
+}
+
+//Adds the ids of each post's photos as post.photos, in upload order
+async function attachPhotos(db, posts) {
+    if (posts.length === 0) {
+        return;
+    }
+    const placeholders = posts.map(() => '?').join(', ');
+    const photos = await db.all(
+        `SELECT id, post_id FROM post_photos WHERE post_id IN (${placeholders}) ORDER BY post_id, seq`,
+        posts.map(post => post.id)
+    );
+    posts.forEach(post => {
+        post.photos = photos.filter(photo => photo.post_id === post.id).map(photo => ({ id: photo.id }));
+    });
+}
+
+//Turns the filters from parsePostFilters into a WHERE clause and its parameters.
+//viewerId is needed for the following feed
+function buildPostFilterClause(filters, viewerId = null) {
+    // drafts and posts hidden by a moderator are never listed
+    const conditions = ["posts.status = 'published'", 'posts.hiddenAt IS NULL'];
+    const params = [];
+
+    if (filters.feed === 'following') {
+        conditions.push('posts.user_id IN (SELECT followee_id FROM follows WHERE follower_id = ?)');
+        params.push(viewerId);
+    }
+    if (filters.username) {
+        conditions.push('users.username = ?');
+        params.push(filters.username);
+    }
+    if (filters.tag) {
+        conditions.push(`posts.id IN (SELECT post_tags.post_id FROM post_tags
+            JOIN tags ON tags.id = post_tags.tag_id WHERE tags.name = ?)`);
+        params.push(filters.tag);
+    }
+    if (filters.collectionId) {
+        conditions.push('posts.id IN (SELECT post_id FROM collection_posts WHERE collection_id = ?)');
+        params.push(filters.collectionId);
+    }
+    if (filters.difficulty) {
+        conditions.push('posts.difficulty = ?');
+        params.push(filters.difficulty);
+    }
+    if (filters.minDistance !== null && filters.minDistance !== undefined) {
+        conditions.push('posts.distance >= ?');
+        params.push(filters.minDistance);
+    }
+    if (filters.maxDistance !== null && filters.maxDistance !== undefined) {
+        conditions.push('posts.distance <= ?');
+        params.push(filters.maxDistance);
+    }
+    if (filters.region) {
+        conditions.push('posts.region = ? COLLATE NOCASE');
+        params.push(filters.region);
+    }
+
+    return {
+        where: 'WHERE ' + conditions.join(' AND '),
+        params
+    };
+}
+
+//Get the distinct regions used in posts for the home page filter
+async function getRegions() {
+    try {
+        const db = await database.connect();
+        const rows = await db.all(
+            `SELECT DISTINCT region FROM posts
+                WHERE region IS NOT NULL AND status = 'published' AND hiddenAt IS NULL
+                ORDER BY region COLLATE NOCASE`
+        );
+        return rows.map(row => row.region);
+    } catch (error) {
+        console.error('Error getting regions:', error);
+        return [];
+    }
+}
+
+// Function to add a new post, trail holds the validated fields from parseTrailFields,
+// tags the names from parseTags and event the details from parseEventFields for a
+// group hike. publishing, from parsePublishing, holds the status and publishAt of a
+// post that isn't published yet. Returns the id of the new post
+async function addPost(title, content, user, trail = {}, tags = [], event = null, publishing = {}) {
+    try {
+        const postId = await database.transaction(async (db) => {
+            const id = await database.posts.insert({
+                title, content, user_id: user.id, timestamp: getDate(), ...trail,
+                status: publishing.status, publishAt: publishing.publishAt
+            }, db);
+            await setPostTags(db, id, tags);
+            if (event) {
+                await addEvent(db, id, event);
+            }
+            return id;
+        });
+        console.log('Post added successfully');
+        return postId;
+    } catch (error) {
+        console.error('Error adding post:', error);
+    }
+}
+
+//Retrieve the post from req.params.id, or null unless the current user wrote it
+async function getOwnedPost(db, req) {
+    const post = await db.get('SELECT * FROM posts WHERE id = ?', [req.params.id]);
+
+    if (!post) {
+        console.log('Post not found');
+        return null;
+    }
+
+    // Check if the author matches
+    if (post.user_id !== req.session.userId) {
+        console.log('Author does not match');
+        return null;
+    }
+
+    return post;
+}
+
+//Function to delete a post
+async function deletePost(req,res){
+    try {
+        const db = await database.connect();
+        
+        // Retrieve the post by its id if the current user wrote it
+        const post = await getOwnedPost(db, req);
+        if (!post) {
+            return;
+        }
+        
+        await removePost(db, post.id);
+        console.log('Post deleted successfully');
+    } catch (error) {
+        console.error('Error deleting post:', error);
+    }
+}
+
+//Delete a post with its GPX track, photos, comments, likes, revisions and any reports about it
+async function removePost(db, postId) {
+    await database.posts.remove(postId, db);
+}
+
+//Source: https://www.youtube.com/watch?v=nVal6k08pQY
+// Function to draw a rounded rectangle
+function roundedRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Avatars
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+// Avatars are square and come in these sizes, ?size= is rounded up to the next one.
+// Uploaded photos are stored at the largest size and scaled down for the others
+const AVATAR_SIZES = [40, 80, 100, 200, 400];
+const DEFAULT_AVATAR_SIZE = 100;
+const AVATAR_UPLOAD_SIZE = AVATAR_SIZES[AVATAR_SIZES.length - 1];
+const AVATAR_QUALITY = 0.9;
+
+// Colors for generated avatars, the background is picked from colors by the username
+const AVATAR_THEMES = [
+    { name: 'trail', label: 'Trail', colors: ['#4369D9', '#C2E0F2', '#95A617', '#D9C355', '#BFAB6F'], text: '#000000' },
+    { name: 'forest', label: 'Forest', colors: ['#2D4A22', '#3B5323', '#4F7942', '#556B2F', '#2E6F40'], text: '#FFFFFF' },
+    { name: 'alpine', label: 'Alpine', colors: ['#1F3B57', '#2E5A7A', '#3E6A8A', '#4B5D7A', '#36454F'], text: '#FFFFFF' },
+    { name: 'desert', label: 'Desert', colors: ['#E8C39E', '#D9A066', '#F2D0A4', '#E0B07A', '#F4A460'], text: '#3B2412' },
+    { name: 'sunset', label: 'Sunset', colors: ['#F26B38', '#F9A03F', '#EC4E20', '#FFC15E', '#D7263D'], text: '#000000' }
+];
+const DEFAULT_AVATAR_THEME = 'trail';
+// Drawn for usernames that don't belong to anyone
+const PLACEHOLDER_AVATAR_THEME = { name: 'placeholder', colors: ['#B0B0B0'], text: '#FFFFFF' };
+
+//Round ?size= up to one of AVATAR_SIZES, anything missing or invalid gets the default
+function parseAvatarSize(value) {
+    const size = Number(value);
+    if (!Number.isFinite(size) || size <= 0) {
+        return DEFAULT_AVATAR_SIZE;
+    }
+    return AVATAR_SIZES.find(allowed => allowed >= size) || AVATAR_UPLOAD_SIZE;
+}
+
+//The theme called name, or the default theme
+function findAvatarTheme(name) {
+    return AVATAR_THEMES.find(theme => theme.name === name)
+        || AVATAR_THEMES.find(theme => theme.name === DEFAULT_AVATAR_THEME);
+}
+
+// Function to generate an image avatar: the letter on a rounded square. The background is
+//picked from the theme's colors by a hash of seed, so the same seed always gets the same color
+function generateAvatar(letter, seed, theme, size = DEFAULT_AVATAR_SIZE) {
+    const hash = crypto.createHash('sha256').update(seed).digest();
+
+    //generate canvas
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+
+    //background
+    ctx.fillStyle = theme.colors[hash.readUInt32BE(0) % theme.colors.length];
+    roundedRect(ctx, 0, 0, size, size, size / 10);
+    ctx.fill();
+
+    //text
+    ctx.fillStyle = theme.text;
+    ctx.font = `${size * 0.6}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(letter.toUpperCase(), size / 2, size / 2);
+
+    //Return the avatar as a PNG buffer
+    return canvas.toBuffer('image/png');
+}
+
+//Quoted hash of everything that goes into an avatar image, for its ETag
+function avatarETag(...parts) {
+    const hash = crypto.createHash('sha1');
+    parts.forEach(part => hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part)));
+    return `"${hash.digest('hex')}"`;
+}
+
+//Function to look up the avatar of username at size pixels square. Returns its content
+//type, its ETag and render(), which only draws or scales the image when it is called.
+//An uploaded photo comes with the generated avatar as its fallback
+async function findAvatar(username, size) {
+    try {
+        const db = await database.connect();
+        const user = await db.get(
+            `SELECT users.username, users.avatarTheme, user_avatars.image FROM users
+                LEFT JOIN user_avatars ON user_avatars.user_id = users.id
+                WHERE users.username = ?`,
+            [username]
+        );
+        if (user) {
+            const theme = findAvatarTheme(user.avatarTheme);
+            const generated = {
+                type: 'image/png',
+                etag: avatarETag('generated', size, theme, user.username),
+                render: async () => generateAvatar(getFirstLetter(user.username), user.username, theme, size)
+            };
+            if (!user.image) {
+                return generated;
+            }
+            return {
+                type: 'image/jpeg',
+                etag: avatarETag('upload', size, user.image),
+                render: () => scaleAvatar(user.image, size),
+                fallback: generated
+            };
+        }
+        console.log('User not found');
+    } catch (error) {
+        console.error('Error getting avatar:', error);
+    }
+    return {
+        type: 'image/png',
+        etag: avatarETag('placeholder', size, PLACEHOLDER_AVATAR_THEME),
+        render: async () => generateAvatar('?', '', PLACEHOLDER_AVATAR_THEME, size)
+    };
+}
+
+// Function to handle avatar generation and serving
+async function handleAvatar(req, res) {
+    return findAvatar(req.params.username, parseAvatarSize(req.query.size));
+}
+
+//Draws an avatar from findAvatar, or its fallback when a stored photo can't be decoded.
+//Returns the avatar that was drawn with the result as image, or null if neither could be
+async function drawAvatar(avatar) {
+    for (const attempt of [avatar, avatar.fallback].filter(Boolean)) {
+        try {
+            return { ...attempt, image: await attempt.render() };
+        } catch (error) {
+            console.error('Error drawing avatar:', error);
+        }
+    }
+    return null;
+}
+
+//Scale an uploaded avatar, stored at AVATAR_UPLOAD_SIZE, down to size
+async function scaleAvatar(image, size) {
+    if (size === AVATAR_UPLOAD_SIZE) {
+        return image;
+    }
+    return cropToSquare(await loadImage(image), size).toBuffer('image/jpeg', { quality: AVATAR_QUALITY });
+}
+
+//Function to store the photo in req.file as the current user's avatar, cropped to its
+//center square. Like post photos it is redrawn, which leaves its EXIF metadata behind.
+//Returns a message for the profile page if the photo can't be used
+async function uploadAvatar(req, res) {
+    const file = req.file;
+    if (!file) {
+        return 'Choose a photo to upload';
+    }
+    if (!PHOTO_TYPES.includes(file.mimetype)) {
+        return 'Avatars must be JPEG, PNG or GIF images';
+    }
+
+    let image;
+    try {
+        image = await loadImage(file.buffer);
+    } catch (error) {
+        return `${file.originalname} could not be read as an image`;
+    }
+    if (image.width * image.height > PHOTO_MAX_PIXELS) {
+        return `${file.originalname} is too large, photos can be at most ${PHOTO_MAX_PIXELS / 1000000} megapixels`;
+    }
+    const upright = orientImage(image, file.mimetype === 'image/jpeg' ? readJpegOrientation(file.buffer) : 1);
+    const avatar = cropToSquare(upright, AVATAR_UPLOAD_SIZE).toBuffer('image/jpeg', { quality: AVATAR_QUALITY });
+
+    try {
+        const db = await database.connect();
+        await db.run(
+            `INSERT INTO user_avatars (user_id, image, updatedAt) VALUES (?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (user_id) DO UPDATE SET image = excluded.image, updatedAt = excluded.updatedAt`,
+            [req.session.userId, avatar]
+        );
+        console.log('Avatar uploaded successfully');
+        return null;
+    } catch (error) {
+        console.error('Error saving avatar:', error);
+        return 'Your avatar could not be saved';
+    }
+}
+
+//Function to go back to the generated avatar
+async function removeAvatarUpload(req, res) {
+    try {
+        const db = await database.connect();
+        await db.run('DELETE FROM user_avatars WHERE user_id = ?', [req.session.userId]);
+        console.log('Avatar removed successfully');
+    } catch (error) {
+        console.error('Error removing avatar:', error);
+    }
+}
+
+//Function to set the theme of the current user's generated avatar from req.body.theme
+async function setAvatarTheme(req, res) {
+    if (!AVATAR_THEMES.some(theme => theme.name === req.body.theme)) {
+        console.log('Unknown avatar theme');
+        return;
+    }
+    try {
+        const db = await database.connect();
+        await db.run('UPDATE users SET avatarTheme = ? WHERE id = ?', [req.body.theme, req.session.userId]);
+        console.log('Avatar theme updated successfully');
+    } catch (error) {
+        console.error('Error updating avatar theme:', error);
+    }
+}
+
+//Function to get the avatar choices shown on the profile page
+async function getAvatarSettings(req, res) {
+    try {
+        const db = await database.connect();
+        const user = await db.get(
+            `SELECT users.avatarTheme, user_avatars.user_id IS NOT NULL AS hasUpload FROM users
+                LEFT JOIN user_avatars ON user_avatars.user_id = users.id
+                WHERE users.id = ?`,
+            [req.session.userId]
+        );
+        const current = findAvatarTheme(user && user.avatarTheme);
+        return {
+            hasUpload: Boolean(user && user.hasUpload),
+            themes: AVATAR_THEMES.map(theme => ({ name: theme.name, label: theme.label, selected: theme === current }))
+        };
+    } catch (error) {
+        console.error('Error getting avatar settings:', error);
+        return { hasUpload: false, themes: [] };
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// GPX Tracks
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_TRACK_POINTS = 50000;
+// Elevation changes smaller than this are treated as GPS noise when adding up gain and loss
+const ELEVATION_NOISE_METERS = 3;
+// Slower than this between two points counts as stopped rather than moving
+const MOVING_SPEED_MPS = 0.3;
+
+const gpxParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    isArray: (name) => ['trk', 'trkseg', 'trkpt', 'rte', 'rtept'].includes(name)
+});
+
+//Parse a GPX document into segments of { lat, lon, ele, time } points and their stats.
+//Throws an error with a user facing message if the file is not a usable GPX track
+function parseGpx(xml) {
+    let doc;
+    try {
+        doc = gpxParser.parse(xml);
+    } catch (error) {
+        throw new Error('GPX file could not be read');
+    }
+    if (!doc || !doc.gpx) {
+        throw new Error('File is not a GPX file');
+    }
+
+    // Tracks are preferred, planned routes are used when a file only has those
+    let rawSegments = [];
+    (doc.gpx.trk || []).forEach(trk => {
+        (trk.trkseg || []).forEach(seg => rawSegments.push(seg.trkpt || []));
+    });
+    if (rawSegments.length === 0) {
+        rawSegments = (doc.gpx.rte || []).map(rte => rte.rtept || []);
+    }
+
+    const segments = rawSegments
+        .map(points => points.map(toTrackPoint).filter(point => point !== null))
+        .filter(points => points.length > 0);
+
+    const pointCount = segments.reduce((total, points) => total + points.length, 0);
+    if (pointCount < 2) {
+        throw new Error('GPX file needs at least two track points');
+    }
+    if (pointCount > MAX_TRACK_POINTS) {
+        throw new Error(`GPX file has more than ${MAX_TRACK_POINTS} track points`);
+    }
+
+    return { segments, stats: computeTrackStats(segments) };
+}
+
+//Convert a parsed trkpt/rtept element to a track point, or null if it has no valid position
+function toTrackPoint(raw) {
+    const lat = Number(raw.lat);
+    const lon = Number(raw.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+
+    const ele = raw.ele === undefined || raw.ele === '' ? null : Number(raw.ele);
+    const time = raw.time ? new Date(raw.time) : null;
+    return {
+        lat,
+        lon,
+        ele: Number.isFinite(ele) ? ele : null,
+        time: time && !Number.isNaN(time.getTime()) ? time : null
+    };
+}
+
+//Great circle distance in meters between two track points
+function haversineMeters(a, b) {
+    const toRadians = (deg) => deg * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+//Total distance, elevation gain/loss, moving and elapsed time and max elevation of a track.
+//Gaps between segments (e.g. a paused recording) don't count towards distance or time
+function computeTrackStats(segments) {
+    let distance = 0;
+    let gain = 0;
+    let loss = 0;
+    let movingSeconds = 0;
+    let maxElevation = null;
+    let firstTime = null;
+    let lastTime = null;
+
+    segments.forEach(points => {
+        let referenceEle = null;
+        points.forEach((point, i) => {
+            if (point.ele !== null) {
+                maxElevation = maxElevation === null ? point.ele : Math.max(maxElevation, point.ele);
+                if (referenceEle === null) {
+                    referenceEle = point.ele;
+                } else if (Math.abs(point.ele - referenceEle) >= ELEVATION_NOISE_METERS) {
+                    if (point.ele > referenceEle) {
+                        gain += point.ele - referenceEle;
+                    } else {
+                        loss += referenceEle - point.ele;
+                    }
+                    referenceEle = point.ele;
+                }
+            }
+
+            if (point.time) {
+                firstTime = firstTime === null || point.time < firstTime ? point.time : firstTime;
+                lastTime = lastTime === null || point.time > lastTime ? point.time : lastTime;
+            }
+
+            if (i > 0) {
+                const previous = points[i - 1];
+                const step = haversineMeters(previous, point);
+                distance += step;
+                if (previous.time && point.time) {
+                    const seconds = (point.time - previous.time) / 1000;
+                    if (seconds > 0 && step / seconds >= MOVING_SPEED_MPS) {
+                        movingSeconds += seconds;
+                    }
+                }
+            }
+        });
+    });
+
+    return {
+        distance: roundTo(distance / METERS_PER_MILE, 2),
+        elevationGain: Math.round(gain * FEET_PER_METER),
+        elevationLoss: Math.round(loss * FEET_PER_METER),
+        movingTime: movingSeconds > 0 ? roundTo(movingSeconds / 3600, 2) : null,
+        elapsedTime: firstTime && lastTime && lastTime > firstTime ? roundTo((lastTime - firstTime) / 3600000, 2) : null,
+        maxElevation: maxElevation === null ? null : Math.round(maxElevation * FEET_PER_METER)
+    };
+}
+
+//Round a number to the given number of decimal places
+function roundTo(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+//Use the GPX stats for any distance, elevation or duration the hiker left blank
+function fillTrailFieldsFromTrack(trail, stats) {
+    if (trail.distance === null) {
+        trail.distance = stats.distance;
+    }
+    if (trail.elevationGain === null) {
+        trail.elevationGain = stats.elevationGain;
+    }
+    if (trail.duration === null) {
+        trail.duration = stats.elapsedTime;
+    }
+}
+
+//Draw the route as seen from above, scaled to fit the image
+function renderRouteMap(segments, width = 300, height = 200) {
+    const padding = 15;
+    const points = segments.flat();
+
+    const minLat = Math.min(...points.map(p => p.lat));
+    const maxLat = Math.max(...points.map(p => p.lat));
+    const minLon = Math.min(...points.map(p => p.lon));
+    const maxLon = Math.max(...points.map(p => p.lon));
+
+    // Longitude degrees shrink towards the poles, scale them so the route isn't stretched
+    const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((maxLon - minLon) * lonScale, 1e-9);
+    const spanY = Math.max(maxLat - minLat, 1e-9);
+    const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const project = (p) => [
+        offsetX + (p.lon - minLon) * lonScale * scale,
+        offsetY + (maxLat - p.lat) * scale
+    ];
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    //background
+    ctx.fillStyle = '#C2E0F2';
+    roundedRect(ctx, 0, 0, width, height, 10);
+    ctx.fill();
+
+    //route
+    ctx.strokeStyle = '#4369D9';
+    ctx.lineWidth = 3;
+    ctx.lineJoin = 'round';
+    segments.forEach(segment => {
+        ctx.beginPath();
+        segment.forEach((point, i) => {
+            const [x, y] = project(point);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    });
+
+    //start and end markers
+    drawMarker(ctx, project(points[0]), '#95A617');
+    drawMarker(ctx, project(points[points.length - 1]), '#D9534F');
+
+    return canvas.toBuffer('image/png');
+}
+
+//Draw a filled circle used for the start and end of a route
+function drawMarker(ctx, [x, y], color) {
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+}
+
+//Draw elevation against distance along the track.
+//Returns null when the track doesn't have enough elevation data
+function renderElevationProfile(segments, width = 300, height = 120) {
+    const padding = 20;
+
+    // Cumulative distance along the whole track, skipping the gaps between segments
+    const profile = [];
+    let travelled = 0;
+    segments.forEach(points => {
+        points.forEach((point, i) => {
+            if (i > 0) {
+                travelled += haversineMeters(points[i - 1], point);
+            }
+            if (point.ele !== null) {
+                profile.push({ distance: travelled, ele: point.ele });
+            }
+        });
+    });
+    if (profile.length < 2 || travelled === 0) {
+        return null;
+    }
+
+    const minEle = Math.min(...profile.map(p => p.ele));
+    const maxEle = Math.max(...profile.map(p => p.ele));
+    const eleSpan = Math.max(maxEle - minEle, 1);
+    const toX = (distance) => padding + (distance / travelled) * (width - 2 * padding);
+    const toY = (ele) => height - padding - ((ele - minEle) / eleSpan) * (height - 2 * padding);
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    //background
+    ctx.fillStyle = '#F0E6D8';
+    roundedRect(ctx, 0, 0, width, height, 10);
+    ctx.fill();
+
+    //filled area under the elevation line
+    ctx.beginPath();
+    ctx.moveTo(toX(profile[0].distance), height - padding);
+    profile.forEach(p => ctx.lineTo(toX(p.distance), toY(p.ele)));
+    ctx.lineTo(toX(profile[profile.length - 1].distance), height - padding);
+    ctx.closePath();
+    ctx.fillStyle = '#95A617';
+    ctx.fill();
+
+    //labels
+    ctx.fillStyle = '#000000';
+    ctx.font = '10px Arial';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${Math.round(maxEle * FEET_PER_METER)} ft`, 4, padding / 2);
+    ctx.fillText(`${Math.round(minEle * FEET_PER_METER)} ft`, 4, height - padding / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${roundTo(travelled / METERS_PER_MILE, 1)} mi`, width - 4, height - padding / 2);
+
+    return canvas.toBuffer('image/png');
+}
+
+//Store a parsed GPX track and its rendered images for a post
+async function addTrack(postId, track) {
+    try {
+        const mapImage = renderRouteMap(track.segments);
+        const profileImage = renderElevationProfile(track.segments);
+
+        await database.transaction(async (db) => {
+            await db.run(
+                `INSERT INTO tracks (post_id, distance, elevationGain, elevationLoss, movingTime, maxElevation, mapImage, profileImage)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [postId, track.stats.distance, track.stats.elevationGain, track.stats.elevationLoss,
+                    track.stats.movingTime, track.stats.maxElevation, mapImage, profileImage]
+            );
+
+            const insertPoint = await db.prepare(
+                'INSERT INTO track_points (post_id, segment, seq, lat, lon, ele, time) VALUES (?, ?, ?, ?, ?, ?, ?)'
+            );
+            for (const [segment, points] of track.segments.entries()) {
+                for (const [seq, point] of points.entries()) {
+                    await insertPoint.run(postId, segment, seq, point.lat, point.lon, point.ele,
+                        point.time ? point.time.toISOString() : null);
+                }
+            }
+            await insertPoint.finalize();
+        });
+        console.log('Track added successfully');
+    } catch (error) {
+        console.error('Error adding track:', error);
+    }
+}
+
+//Function to look up the map or elevation profile image of a post's track, null when
+//the current user can't see the post
+async function handleTrackImage(req, res) {
+    const columns = { map: 'mapImage', profile: 'profileImage' };
+    const column = columns[req.params.image];
+    if (!column) {
+        return null;
+    }
+
+    try {
+        const db = await database.connect();
+        const track = await db.get(
+            `SELECT tracks.${column} AS image, posts.status, posts.hiddenAt, users.username FROM tracks
+                JOIN posts ON posts.id = tracks.post_id
+                JOIN users ON users.id = posts.user_id
+                WHERE tracks.post_id = ?`,
+            [req.params.id]
+        );
+        // only the people who can see the post get its route
+        return track && canSeePost(req, track) ? track.image : null;
+    } catch (error) {
+        console.error('Error getting track image:', error);
+        return null;
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Photos
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const PHOTO_DISPLAY_SIZE = 1200;
+const PHOTO_THUMBNAIL_SIZE = 200;
+const PHOTO_QUALITY = 0.85;
+
+//Decode an uploaded photo and re-encode it at display and thumbnail size.
+//Drawing onto a fresh canvas leaves all EXIF metadata (including GPS) behind,
+//so the orientation tag is applied to the pixels first
+async function processPhoto(file) {
+    if (!PHOTO_TYPES.includes(file.mimetype)) {
+        throw new Error(`${file.originalname} is not a JPEG, PNG or GIF image`);
+    }
+
+    let image;
+    try {
+        image = await loadImage(file.buffer);
+    } catch (error) {
+        throw new Error(`${file.originalname} could not be read as an image`);
+    }
+    if (image.width * image.height > PHOTO_MAX_PIXELS) {
+        throw new Error(`${file.originalname} is too large, photos can be at most ${PHOTO_MAX_PIXELS / 1000000} megapixels`);
+    }
+
+    const upright = orientImage(image, file.mimetype === 'image/jpeg' ? readJpegOrientation(file.buffer) : 1);
+    const display = resizeToFit(upright, PHOTO_DISPLAY_SIZE);
+    return {
+        width: display.width,
+        height: display.height,
+        display: display.toBuffer('image/jpeg', { quality: PHOTO_QUALITY }),
+        thumbnail: cropToSquare(upright, PHOTO_THUMBNAIL_SIZE).toBuffer('image/jpeg', { quality: PHOTO_QUALITY })
+    };
+}
+
+//Read the EXIF orientation tag (1-8) from a JPEG, 1 means already upright
+function readJpegOrientation(buffer) {
+    try {
+        if (buffer.readUInt16BE(0) !== 0xFFD8) {
+            return 1;
+        }
+
+        // Walk the JPEG segments until the EXIF (APP1) segment or the image data
+        let offset = 2;
+        while (offset + 4 <= buffer.length) {
+            const marker = buffer.readUInt16BE(offset);
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) {
+                return 1;
+            }
+            if (marker === 0xFFE1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+                const tiff = offset + 10;
+                const littleEndian = buffer.toString('ascii', tiff, tiff + 2) === 'II';
+                const read16 = (at) => littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at);
+                const read32 = (at) => littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+
+                const ifd = tiff + read32(tiff + 4);
+                const entries = read16(ifd);
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (read16(entry) === 0x0112) {
+                        const orientation = read16(entry + 8);
+                        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                    }
+                }
+                return 1;
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    } catch (error) {
+        // Truncated or malformed EXIF data, treat the photo as upright
+    }
+    return 1;
+}
+
+//Draw an image rotated/flipped according to its EXIF orientation
+function orientImage(image, orientation) {
+    const { width, height } = image;
+    const swapsSides = orientation >= 5;
+    const canvas = createCanvas(swapsSides ? height : width, swapsSides ? width : height);
+    const ctx = canvas.getContext('2d');
+
+    const transforms = {
+        1: [1, 0, 0, 1, 0, 0],
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width]
+    };
+
+    //white background so transparent PNGs don't turn black as JPEGs
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.transform(...transforms[orientation]);
+    ctx.drawImage(image, 0, 0);
+    return canvas;
+}
+
+//Scale an image down so its longest side is at most maxSize
+function resizeToFit(source, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+//Crop the center square of an image and scale it to size x size
+function cropToSquare(source, size) {
+    const side = Math.min(source.width, source.height);
+    const sx = (source.width - side) / 2;
+    const sy = (source.height - side) / 2;
+
+    const canvas = createCanvas(size, size);
+    canvas.getContext('2d').drawImage(source, sx, sy, side, side, 0, 0, size, size);
+    return canvas;
+}
+
+//Store the processed photos for a post in upload order
+async function addPhotos(postId, photos) {
+    try {
+        const db = await database.connect();
+        await Promise.all(photos.map((photo, seq) => {
+            return db.run(
+                'INSERT INTO post_photos (post_id, seq, width, height, thumbnail, display) VALUES (?, ?, ?, ?, ?, ?)',
+                [postId, seq, photo.width, photo.height, photo.thumbnail, photo.display]
+            );
+        }));
+        console.log('Photos added successfully');
+    } catch (error) {
+        console.error('Error adding photos:', error);
+    }
+}
+
+//Function to look up the thumbnail or display size of a photo, null when the current
+//user can't see the post it belongs to
+async function handlePhoto(req, res) {
+    const columns = { thumb: 'thumbnail', display: 'display' };
+    const column = columns[req.params.size];
+    if (!column) {
+        return null;
+    }
+
+    try {
+        const db = await database.connect();
+        const photo = await db.get(
+            `SELECT post_photos.${column} AS image, posts.status, posts.hiddenAt, users.username FROM post_photos
+                JOIN posts ON posts.id = post_photos.post_id
+                JOIN users ON users.id = posts.user_id
+                WHERE post_photos.id = ?`,
+            [req.params.id]
+        );
+        // photos are as private as the post they belong to
+        return photo && canSeePost(req, photo) ? photo.image : null;
+    } catch (error) {
+        console.error('Error getting photo:', error);
+        return null;
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Comments
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const MAX_COMMENT_LENGTH = 2000;
+
+//Trim comment text, returns null if it is empty or too long
+function parseCommentContent(value) {
+    const content = parseOptionalText(value);
+    if (content === null || content.length > MAX_COMMENT_LENGTH) {
+        return null;
+    }
+    return content;
+}
+
+//Adds each post's comments as post.comments (top level comments with their replies)
+//and the total number of comments and replies as post.commentCount
+async function attachComments(db, posts) {
+    if (posts.length === 0) {
+        return;
+    }
+    const placeholders = posts.map(() => '?').join(', ');
+    const comments = await db.all(
+        `SELECT comments.*, users.username
+            FROM comments
+            JOIN users ON users.id = comments.user_id
+            WHERE comments.post_id IN (${placeholders}) AND comments.hiddenAt IS NULL
+            ORDER BY comments.id`,
+        posts.map(post => post.id)
+    );
+
+    posts.forEach(post => {
+        const postComments = comments.filter(comment => comment.post_id === post.id);
+        post.comments = postComments
+            .filter(comment => comment.parent_id === null)
+            .map(comment => ({
+                ...comment,
+                replies: postComments.filter(reply => reply.parent_id === comment.id)
+            }));
+        // replies to a hidden comment are hidden along with it
+        post.commentCount = post.comments.reduce((total, comment) => total + 1 + comment.replies.length, 0);
+    });
+}
+
+//Function to add a comment or reply to a post
+async function addComment(req, res) {
+    const content = parseCommentContent(req.body.content);
+    if (content === null) {
+        console.log('Comment is empty or too long');
+        return;
+    }
+
+    try {
+        const db = await database.connect();
+
+        const post = await db.get(
+            "SELECT id, user_id FROM posts WHERE id = ? AND status = 'published' AND hiddenAt IS NULL",
+            [req.params.id]
+        );
+        if (!post) {
+            console.log('Post not found');
+            return;
+        }
+
+        // Replies are only one level deep, replying to a reply joins the same thread
+        let parent = null;
+        if (req.body.parentId) {
+            parent = await db.get('SELECT id, parent_id, user_id FROM comments WHERE id = ? AND post_id = ?', [req.body.parentId, post.id]);
+            if (!parent) {
+                console.log('Parent comment not found');
+                return;
+            }
+        }
+
+        const result = await db.run(
+            'INSERT INTO comments (post_id, user_id, parent_id, content, timestamp) VALUES (?, ?, ?, ?, ?)',
+            [post.id, req.session.userId, parent ? parent.parent_id || parent.id : null, content, getDate()]
+        );
+        console.log('Comment added successfully');
+
+        // whoever wrote the comment being replied to hears about it, the post's author does either way
+        const about = { postId: post.id, commentId: result.lastID };
+        if (parent && parent.user_id !== post.user_id) {
+            await notify(parent.user_id, req.session.userId, 'reply', about);
+        }
+        await notify(post.user_id, req.session.userId, 'comment', about);
+    } catch (error) {
+        console.error('Error adding comment:', error);
+    }
+}
+
+//Function to edit a comment
+async function updateComment(req, res) {
+    const content = parseCommentContent(req.body.content);
+    if (content === null) {
+        console.log('Comment is empty or too long');
+        return;
+    }
+
+    try {
+        const db = await database.connect();
+
+        const comment = await db.get('SELECT * FROM comments WHERE id = ?', [req.params.id]);
+        if (!comment) {
+            console.log('Comment not found');
+            return;
+        }
+
+        // Check if the current user wrote the comment
+        if (comment.user_id !== req.session.userId) {
+            console.log('User does not match');
+            return;
+        }
+
+        await db.run('UPDATE comments SET content = ?, editedAt = ? WHERE id = ?', [content, getDate(), comment.id]);
+        console.log('Comment updated successfully');
+    } catch (error) {
+        console.error('Error updating comment:', error);
+    }
+}
+
+//Function to delete a comment along with its replies
+async function deleteComment(req, res) {
+    try {
+        const db = await database.connect();
+
+        const comment = await db.get('SELECT * FROM comments WHERE id = ?', [req.params.id]);
+        if (!comment) {
+            console.log('Comment not found');
+            return;
+        }
+
+        // Check if the current user wrote the comment
+        if (comment.user_id !== req.session.userId) {
+            console.log('User does not match');
+            return;
+        }
+
+        await removeComment(db, comment.id);
+        console.log('Comment deleted successfully');
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+    }
+}
+
+//Delete a comment with its replies and any reports about them
+async function removeComment(db, commentId) {
+    await db.run('DELETE FROM comments WHERE id = ?', [commentId]);
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Tags
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const MAX_TAGS_PER_POST = 10;
+const MAX_TAG_LENGTH = 30;
+// How many of the most used tags the home page shows
+const HOME_TAG_CLOUD_SIZE = 20;
+// Tags in the cloud are drawn in sizes 1 to TAG_CLOUD_SIZES by how many posts have them
+const TAG_CLOUD_SIZES = 5;
+
+//Turn a tag as it was typed into the form it is stored in: lowercase letters, digits and
+//dashes, so "Dog Friendly", "#dog-friendly" and "dog_friendly" are the same tag.
+//Returns null when nothing is left
+function normalizeTag(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const tag = value.normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')  // accents, so "Montaña" becomes "montana"
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-')
+        .replace(/[^a-z0-9-]/g, '')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+    return tag || null;
+}
+
+//Validate the tags sent with a post, a comma separated list from the form or an array
+//from the API. Returns { tags } with the normalized names or { error } with a message
+function parseTags(value) {
+    if (value === undefined || value === null) {
+        return { tags: [] };
+    }
+    const names = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+    if (!names || names.some(name => typeof name !== 'string')) {
+        return { error: 'Tags must be text' };
+    }
+
+    const tags = [...new Set(names.map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS_PER_POST) {
+        return { error: `Posts can have at most ${MAX_TAGS_PER_POST} tags` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    return { tags };
+}
+
+//Replace the tags of a post, adding any tags that don't exist yet
+async function setPostTags(db, postId, tags) {
+    await db.run('DELETE FROM post_tags WHERE post_id = ?', [postId]);
+    for (const tag of tags) {
+        await db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]);
+        await db.run('INSERT INTO post_tags (post_id, tag_id) SELECT ?, id FROM tags WHERE name = ?', [postId, tag]);
+    }
+}
+
+//Adds the names of each post's tags as post.tags, alphabetically
+async function attachTags(db, posts) {
+    if (posts.length === 0) {
+        return;
+    }
+    const placeholders = posts.map(() => '?').join(', ');
+    const tags = await db.all(
+        `SELECT post_tags.post_id, tags.name FROM post_tags
+            JOIN tags ON tags.id = post_tags.tag_id
+            WHERE post_tags.post_id IN (${placeholders})
+            ORDER BY tags.name`,
+        posts.map(post => post.id)
+    );
+    posts.forEach(post => {
+        post.tags = tags.filter(tag => tag.post_id === post.id).map(tag => tag.name);
+    });
+}
+
+//Function to get the tags on posts that can be seen with how many posts have each, in
+//alphabetical order. limit keeps only the most used ones. Every tag gets a size for the
+//cloud, on a log scale so a few very popular tags don't make the rest all look the same
+async function getTagCloud(limit = null) {
+    try {
+        const db = await database.connect();
+        const tags = await db.all(
+            `SELECT tags.name, COUNT(*) AS count FROM tags
+                JOIN post_tags ON post_tags.tag_id = tags.id
+                JOIN posts ON posts.id = post_tags.post_id
+                WHERE posts.status = 'published' AND posts.hiddenAt IS NULL
+                GROUP BY tags.id
+                ORDER BY count DESC, tags.name
+                LIMIT ?`,
+            [limit === null ? -1 : limit]
+        );
+        if (tags.length === 0) {
+            return [];
+        }
+
+        const most = Math.log(tags[0].count);
+        const least = Math.log(tags[tags.length - 1].count);
+        return tags
+            .map(tag => ({
+                ...tag,
+                size: most === least ? 1 : 1 + Math.round((TAG_CLOUD_SIZES - 1) * (Math.log(tag.count) - least) / (most - least))
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+        console.error('Error getting tags:', error);
+        return [];
+    }
+}
+
+//Function to count the posts that can be seen with a tag, 0 for tags that don't exist
+async function countTaggedPosts(tag) {
+    try {
+        const db = await database.connect();
+        const row = await db.get(
+            `SELECT COUNT(*) AS count FROM post_tags
+                JOIN tags ON tags.id = post_tags.tag_id
+                JOIN posts ON posts.id = post_tags.post_id
+                WHERE tags.name = ? AND posts.status = 'published' AND posts.hiddenAt IS NULL`,
+            [tag]
+        );
+        return row.count;
+    } catch (error) {
+        console.error('Error counting tagged posts:', error);
+        return 0;
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Collections
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const MAX_COLLECTION_NAME_LENGTH = 60;
+const MAX_COLLECTION_DESCRIPTION_LENGTH = 300;
+const MAX_COLLECTIONS_PER_USER = 50;
+
+//Function to add a collection for the current user from req.body.name and description.
+//Returns a message for the profile page if it can't be added
+async function createCollection(req, res) {
+    const name = parseOptionalText(req.body.name);
+    const description = parseOptionalText(req.body.description);
+    if (!name || name.length > MAX_COLLECTION_NAME_LENGTH) {
+        return `Collection names need 1 to ${MAX_COLLECTION_NAME_LENGTH} characters`;
+    }
+    if (description && description.length > MAX_COLLECTION_DESCRIPTION_LENGTH) {
+        return `Descriptions can be at most ${MAX_COLLECTION_DESCRIPTION_LENGTH} characters`;
+    }
+
+    try {
+        const db = await database.connect();
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM collections WHERE user_id = ?', [req.session.userId]);
+        if (count >= MAX_COLLECTIONS_PER_USER) {
+            return `You can have at most ${MAX_COLLECTIONS_PER_USER} collections`;
+        }
+        const existing = await db.get('SELECT 1 FROM collections WHERE user_id = ? AND name = ?', [req.session.userId, name]);
+        if (existing) {
+            return 'You already have a collection with that name';
+        }
+        await db.run(
+            'INSERT INTO collections (user_id, name, description) VALUES (?, ?, ?)',
+            [req.session.userId, name, description]
+        );
+        console.log('Collection added successfully');
+        return null;
+    } catch (error) {
+        console.error('Error adding collection:', error);
+        return 'The collection could not be added';
+    }
+}
+
+//Retrieve the collection from req.params.id, or null unless the current user made it
+async function getOwnedCollection(db, req) {
+    const collection = await db.get(
+        'SELECT * FROM collections WHERE id = ? AND user_id = ?',
+        [req.params.id, req.session.userId]
+    );
+    if (!collection) {
+        console.log('Collection not found');
+        return null;
+    }
+    return collection;
+}
+
+//Function to delete a collection, the posts in it stay where they are
+async function deleteCollection(req, res) {
+    try {
+        const db = await database.connect();
+        const collection = await getOwnedCollection(db, req);
+        if (!collection) {
+            return;
+        }
+        await db.run('DELETE FROM collections WHERE id = ?', [collection.id]);
+        console.log('Collection deleted successfully');
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+    }
+}
+
+//Function to add the post in req.body.postId to a collection of the current user
+async function addToCollection(req, res) {
+    try {
+        const db = await database.connect();
+        const collection = await getOwnedCollection(db, req);
+        if (!collection) {
+            return;
+        }
+        // drafts and hidden posts can't be saved, like they can't be liked
+        const post = await db.get(
+            "SELECT id FROM posts WHERE id = ? AND status = 'published' AND hiddenAt IS NULL",
+            [req.body.postId]
+        );
+        if (!post) {
+            console.log('Post not found');
+            return;
+        }
+        await db.run(
+            'INSERT OR IGNORE INTO collection_posts (collection_id, post_id) VALUES (?, ?)',
+            [collection.id, post.id]
+        );
+        console.log('Post added to collection successfully');
+    } catch (error) {
+        console.error('Error adding post to collection:', error);
+    }
+}
+
+//Function to take the post in req.params.postId out of a collection of the current user
+async function removeFromCollection(req, res) {
+    try {
+        const db = await database.connect();
+        const collection = await getOwnedCollection(db, req);
+        if (!collection) {
+            return;
+        }
+        await db.run(
+            'DELETE FROM collection_posts WHERE collection_id = ? AND post_id = ?',
+            [collection.id, req.params.postId]
+        );
+        console.log('Post removed from collection successfully');
+    } catch (error) {
+        console.error('Error removing post from collection:', error);
+    }
+}
+
+//Function to get a user's collections with how many posts that can be seen are in each,
+//newest first. With postId each one also says whether that post is in it
+async function getUserCollections(userId, postId = null) {
+    try {
+        const db = await database.connect();
+        return await db.all(
+            `SELECT collections.*,
+                (SELECT COUNT(*) FROM collection_posts
+                    JOIN posts ON posts.id = collection_posts.post_id
+                    WHERE collection_posts.collection_id = collections.id
+                        AND posts.status = 'published' AND posts.hiddenAt IS NULL) AS postCount,
+                EXISTS (SELECT 1 FROM collection_posts
+                    WHERE collection_posts.collection_id = collections.id AND collection_posts.post_id = ?) AS hasPost
+            FROM collections
+            WHERE user_id = ?
+            ORDER BY id DESC`,
+            [postId, userId]
+        );
+    } catch (error) {
+        console.error('Error getting collections:', error);
+        return [];
+    }
+}
+
+//Function to get a collection with the username of the person who made it, or null
+async function getCollection(id) {
+    try {
+        const db = await database.connect();
+        const collection = await db.get(
+            `SELECT collections.*, users.username FROM collections
+                JOIN users ON users.id = collections.user_id
+                WHERE collections.id = ?`,
+            [id]
+        );
+        return collection || null;
+    } catch (error) {
+        console.error('Error getting collection:', error);
+        return null;
+    }
+}
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Group Hikes
+//
+// A group hike is a post with an events row holding its meeting point, start
+// time and capacity. Members answer going, maybe or not going. Everyone going
+// past capacity is on the waitlist in the order they said yes, so when someone
+// drops out the next in line gets their spot. Once the hike has started its
+// organizer can turn the post into a trip report, naming who came along.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const RSVP_STATUSES = ['going', 'maybe', 'not-going'];
+const MAX_MEETING_POINT_LENGTH = 200;
+const MAX_EVENT_CAPACITY = 500;
+// Calendar entries last this long when the post doesn't give a duration, in hours
+const DEFAULT_EVENT_HOURS = 4;
+// How many upcoming hikes the home page lists
+const HOME_UPCOMING_EVENTS = 5;
+
+//Validate the details of a group hike sent with a post. The difficulty is required
+//for group hikes and comes from the trail fields. Returns { event } with the start
+//time in UTC or { error } with a message for the form. Edits can keep a start time
+//that has already passed, new hikes can't
+function parseEventFields(body, { requireFuture = true } = {}) {
+    const meetingPoint = parseOptionalText(body.meetingPoint);
+    const startTime = parseLocalTime(body.startTime, body.timezoneOffset);
+    const capacity = parseOptionalNumber(body.capacity);
+
+    if (!meetingPoint || meetingPoint.length > MAX_MEETING_POINT_LENGTH) {
+        return { error: `Group hikes need a meeting point of up to ${MAX_MEETING_POINT_LENGTH} characters` };
+    }
+    if (!startTime) {
+        return { error: 'Group hikes need a valid start time' };
+    }
+    if (requireFuture && startTime.getTime() <= Date.now()) {
+        return { error: 'The start time must be in the future' };
+    }
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_EVENT_CAPACITY)) {
+        return { error: `Capacity must be a whole number of hikers between 1 and ${MAX_EVENT_CAPACITY}` };
+    }
+    if (!parseOptionalText(body.difficulty)) {
+        return { error: 'Group hikes need a difficulty rating' };
+    }
+    return { event: { meetingPoint, startTime: startTime.toISOString(), capacity } };
+}
+
+//Read a time sent with a form as a Date. Forms send the writer's local time from a
+//datetime-local input along with timezoneOffset, their offset from UTC in minutes as
+//getTimezoneOffset() gives it. Anything else has to be a full ISO 8601 time with a zone,
+//like the API sends. Returns null for anything that isn't a real time
+function parseLocalTime(value, timezoneOffset) {
+    const text = parseOptionalText(value);
+    if (!text) {
+        return null;
+    }
+
+    const local = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(text);
+    if (local) {
+        const [year, month, day, hour, minute] = local.slice(1).map(Number);
+        const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute));
+        // Date.UTC rolls dates like February 30th over into the next month
+        if (wallClock.getUTCMonth() !== month - 1 || wallClock.getUTCDate() !== day || hour > 23 || minute > 59) {
+            return null;
+        }
+        const offset = parseOptionalNumber(timezoneOffset);
+        const minutes = Number.isInteger(offset) && Math.abs(offset) <= 14 * 60 ? offset : 0;
+        return new Date(wallClock.getTime() + minutes * 60 * 1000);
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(text)) {
+        return null;
+    }
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+//Adds each post's group hike details as post.event, or null for posts that aren't
+//group hikes, and the people who came on it as post.attendees once it is a trip report.
+//viewerId is the logged in user, to tell what they answered
+async function attachEvents(db, posts, viewerId = null) {
+    if (posts.length === 0) {
+        return;
+    }
+    const placeholders = posts.map(() => '?').join(', ');
+    const ids = posts.map(post => post.id);
+    const events = await db.all(`SELECT * FROM events WHERE post_id IN (${placeholders})`, ids);
+    const rsvps = await db.all(
+        `SELECT event_rsvps.post_id, event_rsvps.user_id, event_rsvps.status, users.username
+            FROM event_rsvps
+            JOIN users ON users.id = event_rsvps.user_id
+            WHERE event_rsvps.post_id IN (${placeholders})
+            ORDER BY event_rsvps.position`,
+        ids
+    );
+    const attendees = await db.all(
+        `SELECT hike_attendees.post_id, users.username FROM hike_attendees
+            JOIN users ON users.id = hike_attendees.user_id
+            WHERE hike_attendees.post_id IN (${placeholders})
+            ORDER BY users.username COLLATE NOCASE`,
+        ids
+    );
+
+    posts.forEach(post => {
+        const event = events.find(row => row.post_id === post.id);
+        post.event = event ? describeEvent(event, rsvps.filter(rsvp => rsvp.post_id === post.id), viewerId) : null;
+        post.attendees = attendees.filter(attendee => attendee.post_id === post.id).map(attendee => attendee.username);
+    });
+}
+
+//The details of a group hike for its pages, rsvps are its answers in the order they were
+//given. The first people going up to capacity have a spot and the rest are waitlisted
+function describeEvent(event, rsvps, viewerId) {
+    const going = rsvps.filter(rsvp => rsvp.status === 'going');
+    const spots = event.capacity === null ? going.length : Math.min(going.length, event.capacity);
+    const viewer = rsvps.find(rsvp => rsvp.user_id === viewerId);
+    const viewerPlace = viewer ? going.indexOf(viewer) : -1;
+    const toPerson = rsvp => ({ userId: rsvp.user_id, username: rsvp.username });
+
+    return {
+        meetingPoint: event.meetingPoint,
+        startTime: event.startTime,
+        // the start as a datetime-local input shows it, in UTC until the page's script changes it
+        startTimeInput: event.startTime.slice(0, 16),
+        capacity: event.capacity,
+        convertedAt: event.convertedAt,
+        hasStarted: new Date(event.startTime).getTime() <= Date.now(),
+        going: going.slice(0, spots).map(toPerson),
+        waitlist: going.slice(spots).map(toPerson),
+        maybe: rsvps.filter(rsvp => rsvp.status === 'maybe').map(toPerson),
+        spotsLeft: event.capacity === null ? null : event.capacity - spots,
+        viewerStatus: viewer ? viewer.status : null,
+        viewerWaitlistPlace: viewerPlace >= spots ? viewerPlace - spots + 1 : null
+    };
+}
+
+//Adds the details of a new group hike, inside the transaction that adds its post
+async function addEvent(db, postId, event) {
+    await db.run(
+        'INSERT INTO events (post_id, meetingPoint, startTime, capacity, convertedAt) VALUES (?, ?, ?, ?, ?)',
+        [postId, event.meetingPoint, event.startTime, event.capacity, event.convertedAt || null]
+    );
+}
+
+//Function to record the current user's answer to the group hike in req.params.id,
+//req.body.status is going, maybe or not-going. Returns a message if it can't be recorded
+async function respondToEvent(req, res) {
+    const status = req.body.status;
+    if (!RSVP_STATUSES.includes(status)) {
+        return 'Answer going, maybe or not going';
+    }
+
+    try {
+        const db = await database.connect();
+        const event = await db.get(
+            `SELECT events.*, posts.user_id FROM events
+                JOIN posts ON posts.id = events.post_id
+                WHERE events.post_id = ? AND posts.status = 'published' AND posts.hiddenAt IS NULL`,
+            [req.params.id]
+        );
+        if (!event) {
+            console.log('Group hike not found');
+            return 'Group hike not found';
+        }
+        if (event.user_id === req.session.userId) {
+            return 'You are organizing this hike';
+        }
+        if (event.convertedAt || new Date(event.startTime).getTime() <= Date.now()) {
+            return 'This hike has already started';
+        }
+
+        const previous = await db.get(
+            'SELECT status FROM event_rsvps WHERE post_id = ? AND user_id = ?',
+            [event.post_id, req.session.userId]
+        );
+        // Saying going again keeps your place in line, coming back to going after
+        // changing your mind puts you at the end of it
+        await db.run(
+            `INSERT INTO event_rsvps (post_id, user_id, status, position)
+                VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM event_rsvps WHERE post_id = ?))
+                ON CONFLICT (post_id, user_id) DO UPDATE SET
+                    position = CASE WHEN status = 'going' THEN position ELSE excluded.position END,
+                    status = excluded.status,
+                    respondedAt = CURRENT_TIMESTAMP`,
+            [event.post_id, req.session.userId, status, event.post_id]
+        );
+        if (status === 'going' && (!previous || previous.status !== 'going')) {
+            await notify(event.user_id, req.session.userId, 'rsvp', { postId: event.post_id });
+        }
+        console.log('RSVP saved successfully');
+        return null;
+    } catch (error) {
+        console.error('Error saving RSVP:', error);
+        return 'Your answer could not be saved';
+    }
+}
+
+//Function to get the group hikes that haven't started yet, soonest first
+async function getUpcomingEvents(limit) {
+    try {
+        const db = await database.connect();
+        const events = await db.all(
+            `SELECT posts.id, posts.title, posts.difficulty, users.username,
+                events.meetingPoint, events.startTime, events.capacity,
+                (SELECT COUNT(*) FROM event_rsvps
+                    WHERE event_rsvps.post_id = events.post_id AND event_rsvps.status = 'going') AS goingCount
+            FROM events
+            JOIN posts ON posts.id = events.post_id
+            JOIN users ON users.id = posts.user_id
+            WHERE events.startTime > ? AND events.convertedAt IS NULL
+                AND posts.status = 'published' AND posts.hiddenAt IS NULL
+            ORDER BY events.startTime
+            LIMIT ?`,
+            [new Date().toISOString(), limit]
+        );
+        return events.map(event => ({
+            ...event,
+            isFull: event.capacity !== null && event.goingCount >= event.capacity
+        }));
+    } catch (error) {
+        console.error('Error getting upcoming hikes:', error);
+        return [];
+    }
+}
+
+//Function to get the group hike in req.params.id if the current user organized it, it
+//has started and it isn't a trip report yet. Returns the post from getPost or null
+async function findConvertibleEvent(req, res) {
+    const post = await getPost(req.params.id, req.session.userId);
+    if (!post || post.user_id !== req.session.userId || !post.event) {
+        console.log('Group hike not found');
+        return null;
+    }
+    if (post.event.convertedAt || !post.event.hasStarted) {
+        console.log('Group hike cannot be turned into a trip report');
+        return null;
+    }
+    return post;
+}
+
+//Function to turn a group hike that has happened into a trip report. fields and tags
+//replace the post's like an edit does and attendeeIds are the people who came, only
+//people who answered going or maybe can be named
+async function convertEvent(req, res, fields, tags, attendeeIds) {
+    try {
+        const db = await database.connect();
+        const post = await getOwnedPost(db, req);
+        if (!post) {
+            return;
+        }
+        const now = new Date().toISOString();
+
+        await database.transaction(async (tx) => {
+            const result = await tx.run(
+                'UPDATE events SET convertedAt = ? WHERE post_id = ? AND convertedAt IS NULL AND startTime <= ?',
+                [now, post.id, now]
+            );
+            if (result.changes === 0) {
+                throw new Error('the hike has not started or is already a trip report');
+            }
+            await savePostEdit(tx, post, fields, tags);
+            for (const userId of attendeeIds) {
+                await tx.run(
+                    `INSERT OR IGNORE INTO hike_attendees (post_id, user_id)
+                        SELECT post_id, user_id FROM event_rsvps
+                        WHERE post_id = ? AND user_id = ? AND status IN ('going', 'maybe')`,
+                    [post.id, userId]
+                );
+            }
+        });
+        console.log('Group hike turned into a trip report successfully');
+    } catch (error) {
+        console.error('Error converting group hike:', error);
+    }
+}
+
+//Read the ids of the attendees ticked on the trip report form
+function parseAttendeeIds(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return [...new Set(values.map(Number).filter(Number.isInteger))];
+}
+
+//Escape a value for an iCalendar text property (RFC 5545 section 3.3.11)
+function escapeICalText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+//Split an iCalendar line into lines of at most 75 bytes, each continuation starting with a
+//space. Characters are never split, so multi-byte UTF-8 stays intact
+function foldICalLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // continuation lines lose a byte to the leading space
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+//Format a date as an iCalendar UTC time, like 20261024T143000Z
+function formatICalTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+//An iCalendar file holding a group hike, for adding it to a calendar app.
+//site holds the app name, the host the UID is made unique with and the base URL of links
+function buildICalendar(post, site) {
+    const start = new Date(post.event.startTime);
+    const hours = post.duration || DEFAULT_EVENT_HOURS;
+    const end = new Date(start.getTime() + hours * 60 * 60 * 1000);
+    const link = `${site.baseUrl}/posts/${post.id}`;
+    const description = [
+        post.difficulty ? `Difficulty: ${post.difficulty}` : null,
+        `Organized by ${post.username}`,
+        '',
+        post.content,
+        '',
+        link
+    ].filter(line => line !== null).join('\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${escapeICalText(site.appName)}//Group Hikes//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:hike-${post.id}@${site.host}`,
+        `DTSTAMP:${formatICalTime(new Date())}`,
+        `DTSTART:${formatICalTime(start)}`,
+        `DTEND:${formatICalTime(end)}`,
+        `SUMMARY:${escapeICalText(post.title)}`,
+        `LOCATION:${escapeICalText(post.event.meetingPoint)}`,
+        `DESCRIPTION:${escapeICalText(description)}`,
+        `URL:${link}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Search
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const MAX_SEARCH_RESULTS = 50;
+// Control characters mark the matches in snippets since they don't show up in
+// normal text and survive HTML escaping, they are swapped for <mark> tags afterwards
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+//Read the search box and its author and date range filters from the query string
+function parseSearchQuery(query) {
+    const from = parseOptionalText(query.from);
+    const to = parseOptionalText(query.to);
+    return {
+        q: parseOptionalText(query.q),
+        author: parseOptionalText(query.author),
+        from: from && /^\d{4}-\d{2}-\d{2}$/.test(from) ? from : null,
+        to: to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? to : null
+    };
+}
+
+//Turn free text into an FTS5 query. Each word is quoted so characters like
+//quotes, dashes or colons can't be read as query syntax, and the last word
+//also matches as a prefix so results show up while typing
+function toFtsQuery(text) {
+    const words = text.split(/\s+/)
+        .map(word => word.replace(/"/g, ''))
+        .filter(word => word !== '');
+    if (words.length === 0) {
+        return null;
+    }
+    return words.map((word, i) => `"${word}"` + (i === words.length - 1 ? '*' : '')).join(' ');
+}
+
+//Escape text for use in HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+//Escape a snippet from FTS5 and wrap the matched words in <mark> tags
+function highlightMatches(text) {
+    if (!text) {
+        return '';
+    }
+    return escapeHtml(text)
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+//Function to search posts by title, content and trail name, best matches first
+async function searchPosts(search) {
+    const match = toFtsQuery(search.q);
+    if (!match) {
+        return [];
+    }
+
+    const conditions = ['posts_fts MATCH ?', "posts.status = 'published'", 'posts.hiddenAt IS NULL'];
+    const params = [match];
+    if (search.author) {
+        conditions.push('users.username = ? COLLATE NOCASE');
+        params.push(search.author);
+    }
+    if (search.from) {
+        conditions.push('substr(posts.timestamp, 1, 10) >= ?');
+        params.push(search.from);
+    }
+    if (search.to) {
+        conditions.push('substr(posts.timestamp, 1, 10) <= ?');
+        params.push(search.to);
+    }
+
+    try {
+        const db = await database.connect();
+        const rows = await db.all(
+            `SELECT posts.id, users.username, posts.timestamp, posts.trailName,
+                highlight(posts_fts, 0, ?, ?) AS title,
+                snippet(posts_fts, 1, ?, ?, '…', 24) AS snippet
+            FROM posts_fts
+            JOIN posts ON posts.id = posts_fts.rowid
+            JOIN users ON users.id = posts.user_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY rank
+            LIMIT ?`,
+            [MATCH_START, MATCH_END, MATCH_START, MATCH_END, ...params, MAX_SEARCH_RESULTS]
+        );
+
+        return rows.map(row => ({
+            ...row,
+            title: highlightMatches(row.title),
+            snippet: highlightMatches(row.snippet)
+        }));
+    } catch (error) {
+        console.error('Error searching posts:', error);
+        return [];
+    }
+}
+
+//Function to find users whose username contains the search text
+async function searchUsers(text) {
+    const pattern = '%' + text.replace(/[\\%_]/g, char => '\\' + char) + '%';
+    try {
+        const db = await database.connect();
+        const users = await db.all(
+            `SELECT username, memberSince FROM users WHERE username LIKE ? ESCAPE '\\' ORDER BY username LIMIT ?`,
+            [pattern, MAX_SEARCH_RESULTS]
+        );
+        return users;
+    } catch (error) {
+        console.error('Error searching users:', error);
+        return [];
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Drafts
+//
+// A post's status is draft, scheduled or published. Drafts and scheduled posts
+// are only seen by their author, on the profile page and through the edit form.
+// A scheduled post is published by publishDuePosts, which runs every
+// PUBLISH_CHECK_SECONDS once createApp starts the background jobs, and takes
+// its publishAt as its timestamp.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+// How far ahead a post can be scheduled, in days
+const MAX_SCHEDULE_DAYS = 365;
+
+//Read what the post form asks for with its action button: draft saves without publishing,
+//schedule publishes at publishAt and publish publishes now. Returns { publishing } with the
+//status and publishAt to give the post, {} when nothing was asked for, or { error }
+function parsePublishing(body) {
+    if (body.action === 'draft') {
+        return { publishing: { status: 'draft', publishAt: null } };
+    }
+    if (body.action === 'publish') {
+        return { publishing: { status: 'published', publishAt: null } };
+    }
+    if (body.action !== 'schedule') {
+        return {};
+    }
+
+    const publishAt = parseLocalTime(body.publishAt, body.publishAtOffset);
+    if (!publishAt) {
+        return { error: 'Pick a valid time to publish at' };
+    }
+    if (publishAt.getTime() <= Date.now()) {
+        return { error: 'The publish time must be in the future' };
+    }
+    if (publishAt.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+    }
+    return { publishing: { status: 'scheduled', publishAt: publishAt.toISOString() } };
+}
+
+//Turns the status the API is sent into a body for parsePublishing
+function apiPublishingBody(body) {
+    const actions = { draft: 'draft', scheduled: 'schedule', published: 'publish' };
+    return { action: actions[body.status], publishAt: body.publishAt };
+}
+
+//Changes whether post is published inside the transaction tx. A published post can't go
+//back to being a draft, publishing takes the current time as the post's timestamp
+async function setPostPublishing(tx, post, publishing) {
+    if (post.status === 'published') {
+        return;
+    }
+    if (publishing.status === 'published') {
+        await tx.run(
+            "UPDATE posts SET status = 'published', publishAt = NULL, timestamp = ? WHERE id = ?",
+            [getDate(), post.id]
+        );
+        return;
+    }
+    await tx.run(
+        'UPDATE posts SET status = ?, publishAt = ? WHERE id = ?',
+        [publishing.status, publishing.publishAt, post.id]
+    );
+}
+
+//Function to publish the draft or scheduled post in req.params.id right away
+async function publishDraft(req, res) {
+    try {
+        const db = await database.connect();
+        const post = await getOwnedPost(db, req);
+        if (!post) {
+            return;
+        }
+        await setPostPublishing(db, post, { status: 'published' });
+        console.log('Draft published successfully');
+    } catch (error) {
+        console.error('Error publishing draft:', error);
+    }
+}
+
+//Function to publish every scheduled post whose time has come, returns how many went out
+async function publishDuePosts() {
+    try {
+        const db = await database.connect();
+        const result = await db.run(
+            `UPDATE posts SET status = 'published', timestamp = publishAt, publishAt = NULL
+                WHERE status = 'scheduled' AND publishAt <= ?`,
+            [getDate()]
+        );
+        if (result.changes > 0) {
+            console.log(`Published ${result.changes} scheduled posts`);
+        }
+        return result.changes;
+    } catch (error) {
+        console.error('Error publishing scheduled posts:', error);
+        return 0;
+    }
+}
+
+//Function to get a user's drafts and scheduled posts for their profile page, scheduled
+//posts first in the order they go out, then drafts with the last saved first
+async function getDrafts(userId) {
+    try {
+        const db = await database.connect();
+        return await db.all(
+            `SELECT id, title, status, publishAt, timestamp FROM posts
+                WHERE user_id = ? AND status != 'published'
+                ORDER BY status = 'draft', publishAt, timestamp DESC`,
+            [userId]
+        );
+    } catch (error) {
+        console.error('Error getting drafts:', error);
+        return [];
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Post Editing
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+//Post columns that can be changed by editing, and so are kept in each revision
+const EDITABLE_POST_FIELDS = ['title', 'content', ...TRAIL_FIELDS];
+
+//Copy just the editable fields from a post or revision
+function pickPostFields(source) {
+    const fields = {};
+    EDITABLE_POST_FIELDS.forEach(field => {
+        fields[field] = source[field] === undefined ? null : source[field];
+    });
+    return fields;
+}
+
+//Function to get the post from req.params.id with its tags and group hike details if the
+//current user wrote it
+async function findOwnedPost(req, res) {
+    try {
+        const db = await database.connect();
+        const post = await getOwnedPost(db, req);
+        if (post) {
+            await attachTags(db, [post]);
+            await attachEvents(db, [post], req.session.userId);
+        }
+        return post;
+    } catch (error) {
+        console.error('Error finding post:', error);
+        return null;
+    }
+}
+
+//Function to get a revision of a post if the current user wrote the post
+async function findOwnedRevision(req, res) {
+    try {
+        const db = await database.connect();
+        const post = await getOwnedPost(db, req);
+        let revision = null;
+        if (post) {
+            revision = await db.get(
+                'SELECT * FROM post_revisions WHERE id = ? AND post_id = ?',
+                [req.params.revisionId, post.id]
+            );
+        }
+        return revision || null;
+    } catch (error) {
+        console.error('Error finding revision:', error);
+        return null;
+    }
+}
+
+//Function to replace the editable fields of a post, storing the current version as a revision first.
+//The tags are replaced too when they are given, they aren't kept in revisions. So are the
+//details of a group hike that hasn't been turned into a trip report when event is given.
+//publishing, from parsePublishing, changes when a draft or scheduled post goes out
+async function updatePost(req, res, fields, tags, event, publishing) {
+    try {
+        const db = await database.connect();
+
+        const post = await getOwnedPost(db, req);
+        if (!post) {
+            return;
+        }
+
+        await database.transaction(async (tx) => {
+            await savePostEdit(tx, post, fields, tags);
+            if (event) {
+                await tx.run(
+                    'UPDATE events SET meetingPoint = ?, startTime = ?, capacity = ? WHERE post_id = ? AND convertedAt IS NULL',
+                    [event.meetingPoint, event.startTime, event.capacity, post.id]
+                );
+            }
+            if (publishing) {
+                await setPostPublishing(tx, post, publishing);
+            }
+        });
+        console.log('Post updated successfully');
+    } catch (error) {
+        console.error('Error updating post:', error);
+    }
+}
+
+//Saves an edit to post inside the transaction tx, keeping the current version as a revision.
+//Nobody else has seen a draft yet, so saving one just moves its timestamp up to now
+async function savePostEdit(tx, post, fields, tags) {
+    const now = getDate();
+    const columns = EDITABLE_POST_FIELDS;
+    if (post.status !== 'published') {
+        await tx.run(
+            `UPDATE posts SET ${columns.map(column => `${column} = ?`).join(', ')}, timestamp = ? WHERE id = ?`,
+            [...columns.map(column => fields[column]), now, post.id]
+        );
+        if (tags) {
+            await setPostTags(tx, post.id, tags);
+        }
+        return;
+    }
+    await tx.run(
+        `INSERT INTO post_revisions (post_id, ${columns.join(', ')}, savedAt, replacedAt)
+            VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?)`,
+        [post.id, ...columns.map(column => post[column]), post.editedAt || post.timestamp, now]
+    );
+    await tx.run(
+        `UPDATE posts SET ${columns.map(column => `${column} = ?`).join(', ')}, editedAt = ? WHERE id = ?`,
+        [...columns.map(column => fields[column]), now, post.id]
+    );
+    if (tags) {
+        await setPostTags(tx, post.id, tags);
+    }
+}
+
+//Adds each post's earlier versions as post.revisions, newest first
+async function attachRevisions(db, posts) {
+    if (posts.length === 0) {
+        return;
+    }
+    const placeholders = posts.map(() => '?').join(', ');
+    const revisions = await db.all(
+        `SELECT id, post_id, title, savedAt, replacedAt FROM post_revisions
+            WHERE post_id IN (${placeholders})
+            ORDER BY id DESC`,
+        posts.map(post => post.id)
+    );
+    posts.forEach(post => {
+        post.revisions = revisions.filter(revision => revision.post_id === post.id);
+    });
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Follows
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+//Function to check if one user follows another
+async function isFollowing(followerId, followeeId) {
+    if (!followerId) {
+        return false;
+    }
+    try {
+        const db = await database.connect();
+        const follow = await db.get('SELECT 1 FROM follows WHERE follower_id = ? AND followee_id = ?', [followerId, followeeId]);
+        return Boolean(follow);
+    } catch (error) {
+        console.error('Error checking follow:', error);
+        return false;
+    }
+}
+
+//Function to follow the user in req.params.username
+async function followUser(req, res) {
+    try {
+        const db = await database.connect();
+        const followee = await db.get('SELECT id FROM users WHERE username = ?', [req.params.username]);
+
+        if (!followee) {
+            console.log('User not found');
+            return;
+        }
+        if (followee.id === req.session.userId) {
+            console.log('Users cannot follow themselves');
+            return;
+        }
+
+        const result = await db.run(
+            'INSERT OR IGNORE INTO follows (follower_id, followee_id) VALUES (?, ?)',
+            [req.session.userId, followee.id]
+        );
+        if (result.changes > 0) {
+            await notify(followee.id, req.session.userId, 'follow');
+        }
+        console.log('User followed successfully');
+    } catch (error) {
+        console.error('Error following user:', error);
+    }
+}
+
+//Function to unfollow the user in req.params.username
+async function unfollowUser(req, res) {
+    try {
+        const db = await database.connect();
+        const followee = await db.get('SELECT id FROM users WHERE username = ?', [req.params.username]);
+        if (!followee) {
+            console.log('User not found');
+            return;
+        }
+        await db.run('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?', [req.session.userId, followee.id]);
+        await withdrawNotification(followee.id, req.session.userId, 'follow');
+        console.log('User unfollowed successfully');
+    } catch (error) {
+        console.error('Error unfollowing user:', error);
+    }
+}
+
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Notifications
+//
+// notify() adds a notification when someone likes, comments on or RSVPs to a
+// user's post, replies to their comment or follows them, unless the user turned
+// that type off. Taking a like or follow back withdraws a notification that
+// hasn't been read yet. Pages the user has open in a browser listen on
+// /notifications/stream and hear about new ones straight away.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+// Each type of notification with how the preferences on the profile page describe it
+const NOTIFICATION_TYPES = {
+    like: 'Someone likes one of your posts',
+    comment: 'Someone comments on one of your posts',
+    reply: 'Someone replies to your comment',
+    follow: 'Someone follows you',
+    rsvp: 'Someone is going on your group hike'
+};
+// How many of the latest notifications the notifications page shows
+const NOTIFICATIONS_PAGE_SIZE = 50;
+// How often open streams get a comment so proxies don't close them as idle, in seconds
+const NOTIFICATION_HEARTBEAT_SECONDS = 30;
+
+// The open /notifications/stream responses of each user, by user id
+const notificationStreams = new Map();
+
+//Function to notify userId that actorId did something of type to their content, postId and
+//commentId say what it was about. Returns the new notification's id, or null when nothing
+//was added because it was the user's own doing, they turned the type off, or they
+//already have the same notification waiting unread
+async function notify(userId, actorId, type, { postId = null, commentId = null } = {}) {
+    if (userId === actorId) {
+        return null;
+    }
+    try {
+        const db = await database.connect();
+        const preference = await db.get(
+            'SELECT enabled FROM notification_preferences WHERE user_id = ? AND type = ?',
+            [userId, type]
+        );
+        if (preference && !preference.enabled) {
+            return null;
+        }
+        const waiting = await db.get(
+            `SELECT 1 FROM notifications
+                WHERE user_id = ? AND actor_id = ? AND type = ? AND post_id IS ? AND comment_id IS ? AND readAt IS NULL`,
+            [userId, actorId, type, postId, commentId]
+        );
+        if (waiting) {
+            return null;
+        }
+        const result = await db.run(
+            `INSERT INTO notifications (user_id, actor_id, type, post_id, comment_id, createdAt)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, actorId, type, postId, commentId, getDate()]
+        );
+        await pushNotification(userId, result.lastID);
+        return result.lastID;
+    } catch (error) {
+        console.error('Error adding notification:', error);
+        return null;
+    }
+}
+
+//Function to take back the unread notification of type that actorId caused for userId,
+//for a like or follow that was undone before the user saw it
+async function withdrawNotification(userId, actorId, type, { postId = null } = {}) {
+    try {
+        const db = await database.connect();
+        await db.run(
+            `DELETE FROM notifications
+                WHERE user_id = ? AND actor_id = ? AND type = ? AND post_id IS ? AND readAt IS NULL`,
+            [userId, actorId, type, postId]
+        );
+    } catch (error) {
+        console.error('Error withdrawing notification:', error);
+    }
+}
+
+const NOTIFICATION_SELECT = `
+    SELECT notifications.id, notifications.type, notifications.post_id, notifications.comment_id,
+        notifications.createdAt, notifications.readAt, actors.username AS actorName, posts.title AS postTitle
+    FROM notifications
+    JOIN users actors ON actors.id = notifications.actor_id
+    LEFT JOIN posts ON posts.id = notifications.post_id
+`;
+
+//Adds the sentence a notification is shown with as message, and the page it leads to as link
+function describeNotification(notification) {
+    const actor = notification.actorName;
+    const title = notification.postTitle;
+    const postLink = `/posts/${notification.post_id}`;
+    const descriptions = {
+        like: [`${actor} liked your post "${title}"`, postLink],
+        comment: [`${actor} commented on your post "${title}"`, `${postLink}#comment-${notification.comment_id}`],
+        reply: [`${actor} replied to your comment on "${title}"`, `${postLink}#comment-${notification.comment_id}`],
+        follow: [`${actor} started following you`, `/users/${encodeURIComponent(actor)}`],
+        rsvp: [`${actor} is going on your group hike "${title}"`, postLink]
+    };
+    const [message, link] = descriptions[notification.type];
+    return { ...notification, message, link, unread: !notification.readAt };
+}
+
+//Function to get the current user's latest notifications, newest first
+async function getNotifications(req, res) {
+    try {
+        const db = await database.connect();
+        const notifications = await db.all(
+            `${NOTIFICATION_SELECT} WHERE notifications.user_id = ? ORDER BY notifications.id DESC LIMIT ?`,
+            [req.session.userId, NOTIFICATIONS_PAGE_SIZE]
+        );
+        return notifications.map(describeNotification);
+    } catch (error) {
+        console.error('Error getting notifications:', error);
+        return [];
+    }
+}
+
+//Function to count a user's unread notifications
+async function countUnreadNotifications(userId) {
+    try {
+        const db = await database.connect();
+        const row = await db.get('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND readAt IS NULL', [userId]);
+        return row.count;
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        return 0;
+    }
+}
+
+//Middleware to give the layout's bell the logged in user's unread count
+async function loadUnreadNotifications(req, res, next) {
+    res.locals.unreadNotifications = req.session.userId ? await countUnreadNotifications(req.session.userId) : 0;
+    next();
+}
+
+//Function to mark one of the current user's notifications read, or all of them without an id
+async function markNotificationsRead(req, res, notificationId) {
+    try {
+        const db = await database.connect();
+        const params = [getDate(), req.session.userId];
+        let sql = 'UPDATE notifications SET readAt = ? WHERE user_id = ? AND readAt IS NULL';
+        if (notificationId !== undefined) {
+            sql += ' AND id = ?';
+            params.push(notificationId);
+        }
+        await db.run(sql, params);
+        await pushUnreadCount(req.session.userId);
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+    }
+}
+
+//Function to get which notifications the current user gets, for the profile page
+async function getNotificationPreferences(req, res) {
+    try {
+        const db = await database.connect();
+        const rows = await db.all('SELECT type, enabled FROM notification_preferences WHERE user_id = ?', [req.session.userId]);
+        return Object.entries(NOTIFICATION_TYPES).map(([type, label]) => {
+            const row = rows.find(preference => preference.type === type);
+            return { type, label, enabled: !row || Boolean(row.enabled) };
+        });
+    } catch (error) {
+        console.error('Error getting notification preferences:', error);
+        return [];
+    }
+}
+
+//Function to save the notification preferences form, a checked box turns a type on
+async function updateNotificationPreferences(req, res) {
+    const checked = [].concat(req.body.types || []);
+    try {
+        await database.transaction(async (db) => {
+            for (const type of Object.keys(NOTIFICATION_TYPES)) {
+                await db.run(
+                    `INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+                        ON CONFLICT (user_id, type) DO UPDATE SET enabled = excluded.enabled`,
+                    [req.session.userId, type, checked.includes(type) ? 1 : 0]
+                );
+            }
+        });
+        console.log('Notification preferences updated successfully');
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+    }
+}
+
+//Keeps res open as a Server-Sent Events stream for the current user until the browser leaves
+function openNotificationStream(req, res) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    // browsers wait this long before reconnecting to a stream that dropped, in ms
+    res.write('retry: 10000\n\n');
+
+    const userId = req.session.userId;
+    if (!notificationStreams.has(userId)) {
+        notificationStreams.set(userId, new Set());
+    }
+    notificationStreams.get(userId).add(res);
+    req.on('close', () => {
+        const streams = notificationStreams.get(userId);
+        streams.delete(res);
+        if (streams.size === 0) {
+            notificationStreams.delete(userId);
+        }
+    });
+}
+
+//Sends an event to every stream userId has open
+function sendToStreams(userId, event, data) {
+    const streams = notificationStreams.get(userId);
+    if (!streams) {
+        return;
+    }
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streams.forEach(res => res.write(message));
+}
+
+//Sends a new notification along with the unread count to userId's open streams
+async function pushNotification(userId, notificationId) {
+    if (!notificationStreams.has(userId)) {
+        return;
+    }
+    const db = await database.connect();
+    const notification = await db.get(`${NOTIFICATION_SELECT} WHERE notifications.id = ?`, [notificationId]);
+    const { message, link, createdAt } = describeNotification(notification);
+    sendToStreams(userId, 'notification', {
+        id: notificationId, message, link, createdAt, unreadCount: await countUnreadNotifications(userId)
+    });
+}
+
+//Sends userId's open streams their unread count after some were read, so other tabs catch up
+async function pushUnreadCount(userId) {
+    if (!notificationStreams.has(userId)) {
+        return;
+    }
+    sendToStreams(userId, 'unread', { unreadCount: await countUnreadNotifications(userId) });
+}
+
+//Writes a comment to every open stream so proxies don't close them as idle
+function sendNotificationHeartbeats() {
+    notificationStreams.forEach(streams => streams.forEach(res => res.write(': keep-alive\n\n')));
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Account Export and Import
+//
+// An export archive holds account.json (profile, posts and likes given), the
+// avatar, a Markdown copy of every post and each post's photos and GPX track.
+// Import only reads account.json and the files it points to, so the Markdown
+// copies are just for people reading the archive.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const EXPORT_FORMAT = 'hiking-trail-blog-export';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_POSTS = 500;
+const IMPORT_PHOTO_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif' };
+
+//Function to build the export archive for the current user, returns the ZIP as a buffer
+async function exportAccount(req, res) {
+    try {
+        const db = await database.connect();
+        const user = await db.get('SELECT id, username, memberSince FROM users WHERE id = ?', [req.session.userId]);
+        const posts = await db.all('SELECT * FROM posts WHERE user_id = ? ORDER BY id', [user.id]);
+        const photos = await db.all(
+            `SELECT post_id, seq, display FROM post_photos
+                WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)
+                ORDER BY post_id, seq`,
+            [user.id]
+        );
+        const points = await db.all(
+            `SELECT post_id, segment, lat, lon, ele, time FROM track_points
+                WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)
+                ORDER BY post_id, segment, seq`,
+            [user.id]
+        );
+        await attachTags(db, posts);
+        await attachEvents(db, posts, user.id);
+        const likes = await db.all(
+            `SELECT posts.id AS postId, posts.title, users.username AS author, post_likes.createdAt AS likedAt
+                FROM post_likes JOIN posts ON posts.id = post_likes.post_id
+                JOIN users ON users.id = posts.user_id
+                WHERE post_likes.user_id = ?
+                ORDER BY post_likes.createdAt`,
+            [user.id]
+        );
+
+        const zip = new AdmZip();
+        const exportedPosts = posts.map(post => {
+            const folder = `posts/${post.id}-${slugify(post.title)}`;
+            const entry = {
+                id: post.id,
+                title: post.title,
+                content: post.content,
+                timestamp: post.timestamp,
+                editedAt: post.editedAt,
+                status: post.status,
+                publishAt: post.publishAt,
+                likes: post.likes,
+                ...pickPostFields(post),
+                tags: post.tags,
+                event: post.event ? {
+                    meetingPoint: post.event.meetingPoint,
+                    startTime: post.event.startTime,
+                    capacity: post.event.capacity,
+                    convertedAt: post.event.convertedAt
+                } : null,
+                markdown: `${folder}/post.md`,
+                photos: [],
+                track: null
+            };
+            zip.addFile(entry.markdown, Buffer.from(postToMarkdown(post), 'utf8'));
+
+            photos.filter(photo => photo.post_id === post.id).forEach((photo, index) => {
+                const name = `${folder}/photo-${index + 1}.jpg`;
+                zip.addFile(name, photo.display);
+                entry.photos.push(name);
+            });
+
+            const trackPoints = points.filter(point => point.post_id === post.id);
+            if (trackPoints.length > 0) {
+                entry.track = `${folder}/track.gpx`;
+                zip.addFile(entry.track, Buffer.from(buildGpx(post.title, trackPoints), 'utf8'));
+            }
+            return entry;
+        });
+
+        // named after whichever image was drawn, the stored photo or the generated avatar
+        const avatar = await drawAvatar(await findAvatar(user.username, AVATAR_UPLOAD_SIZE));
+        let avatarFile = null;
+        if (avatar) {
+            avatarFile = avatar.type === 'image/jpeg' ? 'avatar.jpg' : 'avatar.png';
+            zip.addFile(avatarFile, avatar.image);
+        }
+        const manifest = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: { username: user.username, memberSince: user.memberSince, avatar: avatarFile },
+            posts: exportedPosts,
+            likesGiven: likes
+        };
+        zip.addFile('account.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+
+        console.log('Account exported successfully');
+        return zip.toBuffer();
+    } catch (error) {
+        console.error('Error exporting account:', error);
+        return null;
+    }
+}
+
+//Function to add the posts from an uploaded export archive to the current user's account.
+//Returns { result: { imported, duplicates } } or { error } with a message for the profile page.
+//Nothing is added unless every post in the archive is valid
+async function importAccount(req, res) {
+    if (!req.file) {
+        return { error: 'Choose an export archive to import' };
+    }
+
+    let zip;
+    let manifest;
+    try {
+        zip = new AdmZip(req.file.buffer);
+        manifest = JSON.parse(readArchiveFile(zip, 'account.json').toString('utf8'));
+    } catch (error) {
+        return { error: 'File is not an export archive from this site' };
+    }
+    if (!manifest || manifest.format !== EXPORT_FORMAT || !Array.isArray(manifest.posts)) {
+        return { error: 'File is not an export archive from this site' };
+    }
+    if (manifest.version !== EXPORT_VERSION) {
+        return { error: `Export version ${manifest.version} is not supported` };
+    }
+    if (manifest.posts.length > MAX_IMPORT_POSTS) {
+        return { error: `Archives can hold at most ${MAX_IMPORT_POSTS} posts` };
+    }
+
+    let posts;
+    try {
+        posts = manifest.posts.map((raw, index) => parseImportedPost(raw, index));
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    try {
+        const user = await getCurrentUser(req);
+        const db = await database.connect();
+
+        // A post is a duplicate when this user already has one with the same title,
+        // content and original timestamp, which is what importing an archive twice produces
+        const seen = new Set();
+        const newPosts = [];
+        for (const post of posts) {
+            const key = JSON.stringify([post.title, post.content, post.timestamp]);
+            const existing = await db.get(
+                'SELECT 1 FROM posts WHERE user_id = ? AND title = ? AND content = ? AND timestamp = ?',
+                [user.id, post.title, post.content, post.timestamp]
+            );
+            if (!existing && !seen.has(key)) {
+                newPosts.push(post);
+            }
+            seen.add(key);
+        }
+
+        // Photos and tracks are only read for posts that will actually be added
+        for (const post of newPosts) {
+            try {
+                post.photos = await Promise.all(post.photoFiles.map(name => processPhoto(readArchivePhoto(zip, name))));
+                post.track = post.trackFile ? parseGpx(readArchiveFile(zip, post.trackFile).toString('utf8')) : null;
+            } catch (error) {
+                return { error: `Post "${post.title}": ${error.message}` };
+            }
+        }
+
+        const postIds = await addImportedPosts(user, newPosts);
+        for (const [index, postId] of postIds.entries()) {
+            if (newPosts[index].track) {
+                await addTrack(postId, newPosts[index].track);
+            }
+            if (newPosts[index].photos.length > 0) {
+                await addPhotos(postId, newPosts[index].photos);
+            }
+        }
+
+        console.log('Account imported successfully');
+        return { result: { imported: newPosts.length, duplicates: posts.length - newPosts.length } };
+    } catch (error) {
+        console.error('Error importing account:', error);
+        return { error: 'The archive could not be imported, please try again' };
+    }
+}
+
+//Validate one post from account.json, throws an error naming the post if it is invalid
+function parseImportedPost(raw, index) {
+    const label = `Post ${index + 1} in the archive`;
+    if (!raw || typeof raw !== 'object') {
+        throw new Error(`${label} is not a post`);
+    }
+    const title = parseOptionalText(raw.title);
+    const content = parseOptionalText(raw.content);
+    if (!title || !content) {
+        throw new Error(`${label} needs a title and content`);
+    }
+    const { trail, error } = parseTrailFields(raw);
+    const { tags, error: tagError } = parseTags(raw.tags);
+    // group hikes come back without their answers, which belong to other people
+    const { event, error: eventError } = raw.event
+        ? parseEventFields({ ...raw.event, difficulty: raw.difficulty }, { requireFuture: false })
+        : {};
+    if (error || tagError || eventError) {
+        throw new Error(`${label}: ${error || tagError || eventError}`);
+    }
+    if (event && raw.event.convertedAt) {
+        const convertedAt = parseLocalTime(raw.event.convertedAt);
+        if (!convertedAt) {
+            throw new Error(`${label} has an invalid group hike`);
+        }
+        event.convertedAt = convertedAt.toISOString();
+    }
+
+    const photoFiles = raw.photos === undefined ? [] : raw.photos;
+    if (!Array.isArray(photoFiles) || photoFiles.some(name => typeof name !== 'string')) {
+        throw new Error(`${label} has an invalid photo list`);
+    }
+    if (photoFiles.length > MAX_PHOTOS_PER_POST) {
+        throw new Error(`${label} has more than ${MAX_PHOTOS_PER_POST} photos`);
+    }
+    if (raw.track !== undefined && raw.track !== null && typeof raw.track !== 'string') {
+        throw new Error(`${label} has an invalid track`);
+    }
+
+    // Drafts stay drafts, a scheduled post whose time passed goes out with the next check
+    const status = raw.status === undefined ? 'published' : raw.status;
+    if (!['draft', 'scheduled', 'published'].includes(status)) {
+        throw new Error(`${label} has an invalid status`);
+    }
+    const publishAt = status === 'scheduled' ? parseLocalTime(raw.publishAt) : null;
+    if (status === 'scheduled' && !publishAt) {
+        throw new Error(`${label} is scheduled without a valid publish time`);
+    }
+
+    // Keep the original timestamp so the post keeps its place in the feed. Archives from
+    // before timestamps were ISO 8601 get the same conversion as the posts that stayed here
+    const timestamp = typeof raw.timestamp === 'string' && raw.timestamp.length <= 40
+        ? convertLegacyTimestamp(raw.timestamp) || raw.timestamp
+        : getDate();
+    return {
+        title, content, timestamp, status, publishAt: publishAt && publishAt.toISOString(),
+        trail, tags, event: event || null, photoFiles, trackFile: raw.track || null
+    };
+}
+
+//Read a file out of an archive, refusing missing files and ones that unpack too large
+function readArchiveFile(zip, name) {
+    const entry = zip.getEntry(name);
+    if (!entry || entry.isDirectory) {
+        throw new Error(`Archive is missing ${name}`);
+    }
+    if (entry.header.size > MAX_UPLOAD_SIZE) {
+        throw new Error(`${name} is too large`);
+    }
+    return entry.getData();
+}
+
+//Read a photo out of an archive in the same shape multer gives processPhoto
+function readArchivePhoto(zip, name) {
+    const extension = (/\.[a-z]+$/i.exec(name) || [''])[0].toLowerCase();
+    return { originalname: name, mimetype: IMPORT_PHOTO_TYPES[extension], buffer: readArchiveFile(zip, name) };
+}
+
+//Function to insert imported posts in one transaction, returns their new ids in order
+async function addImportedPosts(user, posts) {
+    return database.transaction(async (db) => {
+        const postIds = [];
+        for (const post of posts) {
+            const postId = await database.posts.insert({
+                title: post.title, content: post.content, user_id: user.id, timestamp: post.timestamp, ...post.trail,
+                status: post.status, publishAt: post.publishAt
+            }, db);
+            await setPostTags(db, postId, post.tags);
+            if (post.event) {
+                await addEvent(db, postId, post.event);
+            }
+            postIds.push(postId);
+        }
+        return postIds;
+    });
+}
+
+//Lowercase a title into something safe for a file name
+function slugify(text) {
+    const slug = String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+    return slug || 'post';
+}
+
+//A post as Markdown, with its trail fields as front matter
+function postToMarkdown(post) {
+    const frontMatter = [`title: ${JSON.stringify(post.title)}`, `date: ${JSON.stringify(post.timestamp)}`];
+    TRAIL_FIELDS.forEach(field => {
+        if (post[field] !== null && post[field] !== undefined) {
+            frontMatter.push(`${field}: ${JSON.stringify(post[field])}`);
+        }
+    });
+    if (post.tags && post.tags.length > 0) {
+        frontMatter.push(`tags: ${JSON.stringify(post.tags)}`);
+    }
+    return `---\n${frontMatter.join('\n')}\n---\n\n# ${post.title}\n\n${post.content}\n`;
+}
+
+//Write stored track points back out as a GPX 1.1 track
+function buildGpx(name, points) {
+    const segments = [];
+    points.forEach(point => {
+        segments[point.segment] = segments[point.segment] || [];
+        segments[point.segment].push(point);
+    });
+    const trkseg = segments.filter(Boolean).map(segment => {
+        const trkpt = segment.map(point => {
+            const ele = point.ele === null ? '' : `<ele>${point.ele}</ele>`;
+            const time = point.time ? `<time>${escapeHtml(point.time)}</time>` : '';
+            return `      <trkpt lat="${point.lat}" lon="${point.lon}">${ele}${time}</trkpt>`;
+        });
+        return `    <trkseg>\n${trkpt.join('\n')}\n    </trkseg>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Hiking Trail Blog" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${escapeHtml(name)}</name>
+${trkseg.join('\n')}
+  </trk>
+</gpx>
+`;
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// API Support
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const API_TOKEN_PREFIX = 'htb_';
+const MAX_API_TOKENS = 10;
+
+//Send an API error in the shared { error: { status, code, message } } shape
+function apiError(res, status, code, message) {
+    res.status(status).json({ error: { status, code, message } });
+}
+
+//Authenticates API requests. Scripts send a personal token as
+//"Authorization: Bearer <token>", anything else falls back to the browser session
+async function authenticateApiRequest(req, res, next) {
+    const header = req.get('Authorization');
+    if (!header) {
+        // Browsers send the session cookie on cross site requests too, so those need a CSRF token
+        sessionMiddleware(req, res, () => {
+            if (isStateChanging(req) && !hasValidCsrfToken(req)) {
+                apiError(res, 403, 'invalid_csrf_token', 'Send the page\'s CSRF token in the X-CSRF-Token header');
+                return;
+            }
+            next();
+        });
+        return;
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+        apiError(res, 401, 'invalid_token', 'Authorization header must be "Bearer <token>"');
+        return;
+    }
+    const user = await findUserByApiToken(match[1]);
+    if (!user) {
+        apiError(res, 401, 'invalid_token', 'API token is invalid or has been revoked');
+        return;
+    }
+
+    // A plain object stands in for the session so the data functions work unchanged
+    req.session = { userId: user.id, username: user.username, loggedIn: true };
+    next();
+}
+
+//Middleware for API routes that need a logged in user
+function requireApiUser(req, res, next) {
+    if (req.session && req.session.userId) {
+        next();
+    } else {
+        apiError(res, 401, 'unauthorized', 'Authentication is required');
+    }
+}
+
+//Middleware that loads req.params.id into req.post, answering 404 if it doesn't
+//exist and 403 if the current user didn't write it
+async function requireApiPostOwner(req, res, next) {
+    const post = await getPost(req.params.id, req.session.userId);
+    if (!post) {
+        apiError(res, 404, 'not_found', 'Post not found');
+        return;
+    }
+    if (post.user_id !== req.session.userId) {
+        apiError(res, 403, 'forbidden', 'Only the author can change this post');
+        return;
+    }
+    req.post = post;
+    next();
+}
+
+//The public JSON shape of a post, with the image routes as URLs
+function serializePost(post) {
+    return {
+        id: post.id,
+        title: post.title,
+        content: post.content,
+        contentHtml: renderMarkdown(post.content),
+        username: post.username,
+        timestamp: post.timestamp,
+        editedAt: post.editedAt || null,
+        status: post.status,
+        publishAt: post.publishAt || null,
+        likes: post.likes,
+        likedByUser: Boolean(post.likedByUser),
+        tags: post.tags || [],
+        event: post.event ? {
+            meetingPoint: post.event.meetingPoint,
+            startTime: post.event.startTime,
+            capacity: post.event.capacity,
+            spotsLeft: post.event.spotsLeft,
+            going: post.event.going.map(person => person.username),
+            waitlist: post.event.waitlist.map(person => person.username),
+            maybe: post.event.maybe.map(person => person.username),
+            viewerStatus: post.event.viewerStatus,
+            convertedAt: post.event.convertedAt,
+            calendarUrl: `/posts/${post.id}/event.ics`
+        } : null,
+        attendees: post.attendees || [],
+        trail: Object.fromEntries(TRAIL_FIELDS.map(field => [field, post[field] === undefined ? null : post[field]])),
+        track: post.hasTrack ? {
+            distance: post.trackDistance,
+            elevationGain: post.trackElevationGain,
+            elevationLoss: post.trackElevationLoss,
+            movingTime: post.trackMovingTime,
+            maxElevation: post.trackMaxElevation,
+            mapUrl: `/track/${post.id}/map`,
+            profileUrl: post.hasElevationProfile ? `/track/${post.id}/profile` : null
+        } : null,
+        photos: (post.photos || []).map(photo => ({
+            id: photo.id,
+            thumbnailUrl: `/photo/${photo.id}/thumb`,
+            url: `/photo/${photo.id}/display`
+        })),
+        commentCount: post.commentCount || 0,
+        comments: (post.comments || []).map(comment => ({
+            id: comment.id,
+            username: comment.username,
+            content: comment.content,
+            timestamp: comment.timestamp,
+            editedAt: comment.editedAt,
+            replies: comment.replies.map(reply => ({
+                id: reply.id,
+                username: reply.username,
+                content: reply.content,
+                timestamp: reply.timestamp,
+                editedAt: reply.editedAt
+            }))
+        }))
+    };
+}
+
+//The public JSON shape of a user profile
+function serializeProfile(profile) {
+    return {
+        username: profile.username,
+        memberSince: profile.memberSince,
+        avatarUrl: `/avatar/${encodeURIComponent(profile.username)}`,
+        stats: profile.stats
+    };
+}
+
+//Function to find the user an API token belongs to, also records when it was last used
+async function findUserByApiToken(token) {
+    if (!token.startsWith(API_TOKEN_PREFIX)) {
+        return null;
+    }
+    try {
+        const db = await database.connect();
+        const tokenHash = hashId(token);
+        const user = await db.get(
+            `SELECT users.id, users.username FROM api_tokens
+                JOIN users ON users.id = api_tokens.user_id
+                WHERE api_tokens.tokenHash = ? AND users.suspendedAt IS NULL`,
+            [tokenHash]
         );
-    }));
+        if (user) {
+            await db.run('UPDATE api_tokens SET lastUsedAt = CURRENT_TIMESTAMP WHERE tokenHash = ?', [tokenHash]);
+        }
+        return user || null;
+    } catch (error) {
+        console.error('Error finding API token:', error);
+        return null;
+    }
+}
+
+//Function to list who liked a post, or null if the post doesn't exist
+async function getPostLikes(postId) {
+    try {
+        const db = await database.connect();
+        const post = await db.get(
+            "SELECT id FROM posts WHERE id = ? AND status = 'published' AND hiddenAt IS NULL",
+            [postId]
+        );
+        let likes = null;
+        if (post) {
+            likes = await db.all(
+                `SELECT users.username, post_likes.createdAt FROM post_likes
+                    JOIN users ON users.id = post_likes.user_id
+                    WHERE post_likes.post_id = ?
+                    ORDER BY post_likes.createdAt DESC, users.username`,
+                [post.id]
+            );
+        }
+        return likes;
+    } catch (error) {
+        console.error('Error getting post likes:', error);
+        return null;
+    }
+}
+
+//Function to list the current user's API tokens, without the tokens themselves
+async function getApiTokens(req, res) {
+    try {
+        const db = await database.connect();
+        const tokens = await db.all(
+            'SELECT id, name, createdAt, lastUsedAt FROM api_tokens WHERE user_id = ? ORDER BY id',
+            [req.session.userId]
+        );
+        return tokens;
+    } catch (error) {
+        console.error('Error getting API tokens:', error);
+        return [];
+    }
+}
+
+//Function to generate a new API token for the current user.
+//Returns the token, which can't be recovered later since only its hash is stored
+async function createApiToken(req, res) {
+    const name = parseOptionalText(req.body.name) || 'API token';
+    try {
+        const db = await database.connect();
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ?', [req.session.userId]);
+        if (count >= MAX_API_TOKENS) {
+            console.log('Too many API tokens');
+            return undefined;
+        }
+
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+        await db.run(
+            'INSERT INTO api_tokens (user_id, name, tokenHash) VALUES (?, ?, ?)',
+            [req.session.userId, name.slice(0, 60), hashId(token)]
+        );
+        console.log('API token created successfully');
+        return token;
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        return undefined;
+    }
+}
+
+//Function to revoke one of the current user's API tokens
+async function deleteApiToken(req, res) {
+    try {
+        const db = await database.connect();
+        await db.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [req.params.id, req.session.userId]);
+        console.log('API token deleted successfully');
+    } catch (error) {
+        console.error('Error deleting API token:', error);
+    }
+}
+
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Feeds
+//
+// RSS 2.0 and Atom versions of the site feed and each member's posts. Entries
+// are identified by tag: URIs built from the post id so they stay the same if
+// the site moves or a post is renamed. Responses carry an ETag and Last-Modified
+// so feed readers polling with If-None-Match/If-Modified-Since get a 304.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const FEED_SIZE = 20;
+const FEED_TAG = 'tag:hiking-trail-blog,2024:';
+
+//Function to get the newest posts for a feed, filters are the same as getPosts
+async function getFeedPosts(filters) {
+    const page = { ...parseFeedPage({}), limit: FEED_SIZE };
+    const { posts } = await getPosts(filters, null, page);
+    return posts;
+}
+
+//Turn a stored timestamp such as "2024-01-01 12:30:00" into a Date, treating it as UTC
+function parseStoredTimestamp(value) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?/.exec(value || '');
+    if (!match) {
+        const date = new Date(value);
+        return isNaN(date) ? new Date(0) : date;
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part) || 0);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+//When a post last changed, used for the <updated> of an entry
+function postUpdatedAt(post) {
+    return parseStoredTimestamp(post.editedAt || post.timestamp);
+}
+
+//HTML description of a post for feed readers: its trail stats followed by the rendered content
+function describePost(post) {
+    const stats = [];
+    if (post.trailName) {
+        stats.push(post.trailName + (post.region ? `, ${post.region}` : ''));
+    }
+    if (post.distance !== null && post.distance !== undefined) {
+        stats.push(`${post.distance} mi`);
+    }
+    if (post.elevationGain !== null && post.elevationGain !== undefined) {
+        stats.push(`${post.elevationGain} ft gain`);
+    }
+    if (post.difficulty) {
+        stats.push(post.difficulty);
+    }
+    const summary = stats.length > 0 ? `<p>${escapeHtml(stats.join(' · '))}</p>\n` : '';
+    return summary + renderMarkdown(post.content);
+}
+
+//Build an RSS 2.0 document, feed holds the titles and absolute links from sendFeed
+function buildRssFeed(feed, posts, updated) {
+    const items = posts.map(post => `
+    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${escapeHtml(`${feed.baseUrl}/posts/${post.id}`)}</link>
+      <guid isPermaLink="false">${FEED_TAG}post/${post.id}</guid>
+      <dc:creator>${escapeHtml(post.username)}</dc:creator>
+      <pubDate>${parseStoredTimestamp(post.timestamp).toUTCString()}</pubDate>
+      <description>${escapeHtml(describePost(post))}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.link)}</link>
+    <description>${escapeHtml(`Latest trip reports from ${feed.title}`)}</description>
+    <atom:link href="${escapeHtml(feed.selfLink)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+//Build an Atom 1.0 document, feed holds the titles and absolute links from sendFeed
+function buildAtomFeed(feed, posts, updated) {
+    const entries = posts.map(post => `
+  <entry>
+    <title>${escapeHtml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(`${feed.baseUrl}/posts/${post.id}`)}"/>
+    <id>${FEED_TAG}post/${post.id}</id>
+    <author><name>${escapeHtml(post.username)}</name></author>
+    <published>${parseStoredTimestamp(post.timestamp).toISOString()}</published>
+    <updated>${postUpdatedAt(post).toISOString()}</updated>
+    <content type="html">${escapeHtml(describePost(post))}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <link rel="alternate" type="text/html" href="${escapeHtml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(feed.selfLink)}"/>
+  <id>${FEED_TAG}${feed.id}</id>
+  <updated>${updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+//Send posts as the RSS or Atom feed named by req.params.format, or a 304 when the
+//reader's copy is still current. feed has title, path, selfPath and id
+function sendFeed(req, res, feed, posts) {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const details = { ...feed, baseUrl, link: baseUrl + feed.path, selfLink: baseUrl + feed.selfPath };
+    const updated = posts.reduce((latest, post) => {
+        const postUpdated = postUpdatedAt(post);
+        return postUpdated > latest ? postUpdated : latest;
+    }, new Date(0));
+
+    // The newest change and the ids in the feed are enough to tell when it changed,
+    // a post being deleted drops its id from the list
+    const version = posts.map(post => `${post.id}:${post.editedAt || post.timestamp}`).join(',');
+    const etag = '"' + crypto.createHash('sha1').update(`${req.params.format}|${version}`).digest('hex') + '"';
+    res.set('ETag', etag);
+    res.set('Last-Modified', updated.toUTCString());
+    res.set('Cache-Control', 'public, max-age=300');
+    if (req.fresh) {
+        res.status(304).end();
+        return;
+    }
+
+    if (req.params.format === 'atom') {
+        res.type('application/atom+xml').send(buildAtomFeed(details, posts, updated));
+    } else {
+        res.type('application/rss+xml').send(buildRssFeed(details, posts, updated));
+    }
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Markdown
+//
+// Post content is written in Markdown and rendered on the server. marked turns
+// it into HTML, then sanitize-html drops every tag, attribute and URL scheme that
+// isn't on the allowlist, so raw HTML or javascript: links in a post never reach
+// a reader's browser. Everything that shows post content (pages, infinite scroll,
+// the form preview, feeds and the API) goes through renderMarkdown.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const MARKDOWN_SANITIZER = {
+    allowedTags: ['h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'strong', 'em', 'del',
+        'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a'],
+    allowedAttributes: { a: ['href', 'title', 'rel'], ol: ['start'] },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowProtocolRelative: false,
+    transformTags: {
+        // the post title is the h1 and pages use h2, so headings in a post start at h3
+        h1: 'h3',
+        h2: 'h4',
+        h3: 'h5',
+        h4: 'h6',
+        h5: 'h6',
+        a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener' })
+    }
+};
+
+//Render Markdown to HTML that is safe to put on a page. Single newlines become
+//line breaks, which keeps posts written before Markdown looking the same
+function renderMarkdown(text) {
+    const html = marked.parse(text || '', { gfm: true, breaks: true });
+    return sanitizeHtml(html, MARKDOWN_SANITIZER);
+}
+
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Moderation
+//
+// Members report posts and comments, admins work through the reports on /admin.
+// Hiding keeps content in the db but out of feeds, search and profiles until it
+// is restored. Suspended users are logged out on their next request and can't
+// log back in or use their API tokens.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const REPORT_REASONS = [
+    { name: 'spam', label: 'Spam or advertising' },
+    { name: 'harassment', label: 'Harassment or hate' },
+    { name: 'inappropriate', label: 'Inappropriate content' },
+    { name: 'unsafe', label: 'Dangerous trail advice' },
+    { name: 'other', label: 'Something else' }
+];
+const MAX_REPORT_DETAILS_LENGTH = 500;
+const MODERATION_LOG_SIZE = 50;
+
+// Middleware to look up the logged in user's role, suspended users are logged out
+async function loadAccountStatus(req, res, next) {
+    req.isAdmin = false;
+    if (req.session && req.session.userId) {
+        const account = await getAccountStatus(req.session.userId);
+        if (!account || account.suspendedAt) {
+            await resetSession(req);
+        } else {
+            req.isAdmin = account.role === 'admin';
+        }
+    }
+    next();
+}
+
+// Middleware for pages only admins can use, anyone else gets the 404 page
+function requireAdmin(req, res, next) {
+    if (req.isAdmin) {
+        next();
+    } else {
+        renderNotFound(req, res, 'Page not found');
+    }
+}
+
+//Drafts can only be seen by their author. Hidden posts can still be seen by their author and by admins
+function canSeePost(req, post) {
+    if (post.status !== 'published') {
+        return post.username === req.session.username;
+    }
+    return !post.hiddenAt || post.username === req.session.username || req.isAdmin;
+}
+
+//Function to get the role and suspension of a user
+async function getAccountStatus(userId) {
+    try {
+        const db = await database.connect();
+        const account = await db.get('SELECT role, suspendedAt FROM users WHERE id = ?', [userId]);
+        return account || null;
+    } catch (error) {
+        console.error('Error getting account status:', error);
+        return null;
+    }
+}
+
+//Function to report a post or comment, targetType is 'post' or 'comment'.
+//Reporting your own content or reporting the same thing twice does nothing
+async function reportContent(req, res, targetType) {
+    const reason = REPORT_REASONS.some(option => option.name === req.body.reason) ? req.body.reason : null;
+    const details = parseOptionalText(req.body.details);
+    if (!reason || (details && details.length > MAX_REPORT_DETAILS_LENGTH)) {
+        console.log('Invalid report');
+        return;
+    }
+
+    try {
+        const db = await database.connect();
+        const target = await findReportTarget(db, targetType, req.params.id);
+        if (!target || target.authorId === req.session.userId) {
+            console.log('Report target not found');
+            return;
+        }
+
+        const existing = await db.get(
+            `SELECT 1 FROM reports WHERE targetType = ? AND targetId = ? AND reporter_id = ? AND status = 'open'`,
+            [targetType, target.id, req.session.userId]
+        );
+        if (!existing) {
+            await db.run(
+                'INSERT INTO reports (targetType, targetId, reporter_id, reason, details) VALUES (?, ?, ?, ?, ?)',
+                [targetType, target.id, req.session.userId, reason, details]
+            );
+        }
+        console.log('Report added successfully');
+    } catch (error) {
+        console.error('Error adding report:', error);
+    }
+}
+
+//Look up a reported post or comment with its author, in the same shape for both
+async function findReportTarget(db, targetType, id) {
+    if (targetType === 'post') {
+        return db.get(
+            `SELECT posts.id, posts.id AS postId, posts.title, posts.content, posts.hiddenAt,
+                users.id AS authorId, users.username AS author, users.suspendedAt AS authorSuspendedAt
+            FROM posts LEFT JOIN users ON users.id = posts.user_id
+            WHERE posts.id = ?`,
+            [id]
+        );
+    }
+    return db.get(
+        `SELECT comments.id, comments.post_id AS postId, NULL AS title, comments.content, comments.hiddenAt,
+            users.id AS authorId, users.username AS author, users.suspendedAt AS authorSuspendedAt
+        FROM comments LEFT JOIN users ON users.id = comments.user_id
+        WHERE comments.id = ?`,
+        [id]
+    );
+}
+
+//Function to gather everything the admin page shows. Open reports are grouped by the
+//post or comment they are about so each piece of content is listed once
+async function getModerationDashboard() {
+    const dashboard = { reported: [], hidden: [], suspendedUsers: [], log: [] };
+    try {
+        const db = await database.connect();
+        const reports = await db.all(
+            `SELECT reports.*, users.username AS reporter FROM reports
+                LEFT JOIN users ON users.id = reports.reporter_id
+                WHERE reports.status = 'open'
+                ORDER BY reports.id`
+        );
+        for (const report of reports) {
+            let entry = dashboard.reported.find(item => item.targetType === report.targetType && item.target.id === report.targetId);
+            if (!entry) {
+                const target = await findReportTarget(db, report.targetType, report.targetId);
+                if (!target) {
+                    continue;
+                }
+                entry = { targetType: report.targetType, isPost: report.targetType === 'post', target, reports: [] };
+                dashboard.reported.push(entry);
+            }
+            entry.reports.push(report);
+        }
+
+        const hiddenPosts = await db.all(
+            `SELECT 'post' AS targetType, posts.id, posts.id AS postId, posts.title, posts.content,
+                users.username AS author, posts.hiddenAt
+            FROM posts LEFT JOIN users ON users.id = posts.user_id
+            WHERE posts.hiddenAt IS NOT NULL`
+        );
+        const hiddenComments = await db.all(
+            `SELECT 'comment' AS targetType, comments.id, comments.post_id AS postId, NULL AS title, comments.content,
+                users.username AS author, comments.hiddenAt
+            FROM comments LEFT JOIN users ON users.id = comments.user_id
+            WHERE comments.hiddenAt IS NOT NULL`
+        );
+        dashboard.hidden = [...hiddenPosts, ...hiddenComments].map(item => ({ ...item, isPost: item.targetType === 'post' }));
+        dashboard.suspendedUsers = await db.all(
+            'SELECT id, username, suspendedAt FROM users WHERE suspendedAt IS NOT NULL ORDER BY username'
+        );
+        dashboard.log = await db.all('SELECT * FROM moderation_log ORDER BY id DESC LIMIT ?', [MODERATION_LOG_SIZE]);
+    } catch (error) {
+        console.error('Error getting moderation dashboard:', error);
+    }
+    return dashboard;
+}
+
+//Function to hide, restore or delete the post or comment in req.params
+async function moderateContent(req, res) {
+    const targetType = req.params.type === 'posts' ? 'post' : 'comment';
+    const table = targetType === 'post' ? 'posts' : 'comments';
+    const action = req.params.action;
+    try {
+        const db = await database.connect();
+        const target = await findReportTarget(db, targetType, req.params.id);
+        if (!target) {
+            console.log('Moderation target not found');
+            return;
+        }
+
+        if (action === 'hide') {
+            await db.run(`UPDATE ${table} SET hiddenAt = ? WHERE id = ?`, [getDate(), target.id]);
+            await resolveReports(db, req, targetType, target.id, 'resolved');
+        } else if (action === 'restore') {
+            await db.run(`UPDATE ${table} SET hiddenAt = NULL WHERE id = ?`, [target.id]);
+        } else if (targetType === 'post') {
+            await removePost(db, target.id);
+        } else {
+            await removeComment(db, target.id);
+        }
+
+        const summary = target.title || target.content.slice(0, 80);
+        await logModerationAction(db, req, `${action} ${targetType}`, targetType, target.id, `"${summary}" by ${target.author}`);
+        console.log('Content moderated successfully');
+    } catch (error) {
+        console.error('Error moderating content:', error);
+    }
+}
+
+//Function to suspend a user or lift their suspension, admins can't be suspended
+async function setUserSuspended(req, res, suspended) {
+    try {
+        const db = await database.connect();
+        const user = await db.get('SELECT id, username, role FROM users WHERE id = ?', [req.params.id]);
+        if (!user || user.role === 'admin') {
+            console.log('User can not be suspended');
+            return;
+        }
+
+        await db.run('UPDATE users SET suspendedAt = ? WHERE id = ?', [suspended ? getDate() : null, user.id]);
+        await logModerationAction(db, req, suspended ? 'suspend user' : 'unsuspend user', 'user', user.id, user.username);
+        console.log('User suspension updated successfully');
+    } catch (error) {
+        console.error('Error updating user suspension:', error);
+    }
+}
+
+//Function to close a report without doing anything to the content
+async function dismissReport(req, res) {
+    try {
+        const db = await database.connect();
+        const report = await db.get(`SELECT * FROM reports WHERE id = ? AND status = 'open'`, [req.params.id]);
+        if (!report) {
+            console.log('Report not found');
+            return;
+        }
+
+        await db.run(
+            `UPDATE reports SET status = 'dismissed', resolvedAt = CURRENT_TIMESTAMP, resolvedBy = ? WHERE id = ?`,
+            [req.session.userId, report.id]
+        );
+        await logModerationAction(db, req, 'dismiss report', report.targetType, report.targetId, report.reason);
+        console.log('Report dismissed successfully');
+    } catch (error) {
+        console.error('Error dismissing report:', error);
+    }
+}
 
-    await Promise.all(posts.map(post => {
-        return db.run(
-            'INSERT INTO posts (title, content, username, timestamp, likes) VALUES (?, ?, ?, ?, ?)',
-            [post.title, post.content, post.username, post.timestamp, post.likes]
-        );
-    }));
+//Close every open report about a post or comment
+async function resolveReports(db, req, targetType, targetId, status) {
+    await db.run(
+        `UPDATE reports SET status = ?, resolvedAt = CURRENT_TIMESTAMP, resolvedBy = ?
+            WHERE targetType = ? AND targetId = ? AND status = 'open'`,
+        [status, req.session.userId, targetType, targetId]
+    );
+}
 
-    console.log('Database initialized with sample data.');
-    await db.close();
+//Add an entry to the audit log for the current admin
+async function logModerationAction(db, req, action, targetType, targetId, details) {
+    await db.run(
+        'INSERT INTO moderation_log (moderator_id, moderatorName, action, targetType, targetId, details) VALUES (?, ?, ?, ?, ?, ?)',
+        [req.session.userId, req.session.username, action, targetType, targetId, details]
+    );
 }
 
-initializeDB().catch(err => {
-    console.error('Error initializing database:', err);
-});
 
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-// Support Functions
+// Security
+//
+// Every POST, PUT, PATCH and DELETE has to carry the CSRF token stored in the
+// session: forms send it as the _csrf field (or in the query string for multipart
+// forms, which are parsed after this check) and fetch calls send it in the
+// X-CSRF-Token header, read from the csrf-token meta tag in the main layout.
+// API requests with a Bearer token don't use cookies and are exempt.
+//
+// Rate limits count requests in fixed windows kept in memory, so they reset when
+// the server restarts. Refused requests get a 429 with a Retry-After header.
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 
-//Update a users username in the db
-async function updateUserInDB(req, res){
-    try {
-        // Open a connection to the database
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
-
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+const rateLimitCounters = new Map();
 
-        // Update the username in the database
-        await db.run('UPDATE users SET username = ? WHERE username = ?', [req.body.userName, req.session.username]);
-        await db.run('UPDATE posts SET username = ? WHERE username = ?', [req.body.userName, req.session.username]);
-        //New avatar generation
-        const avatar = generateAvatar(getFirstLetter(req.body.userName));
-        await db.run('UPDATE users SET avatar_url = ? WHERE username = ?', [avatar, req.body.userName]);
+//True for request methods that can change data
+function isStateChanging(req) {
+    return !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+}
 
-        // Close the database connection
-        await db.close();
+//Requests from fetch calls and the API get JSON errors instead of a page
+function wantsJson(req) {
+    return req.baseUrl.startsWith('/api/') || Boolean(req.get(CSRF_HEADER)) || !req.accepts('html');
+}
 
-        // Respond with a success message
-        console.log('User updated successfully');
-    } catch (error) {
-        console.error('Error updating username:', error);
+//Get the session's CSRF token, creating it the first time
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
     }
+    return req.session.csrfToken;
 }
 
-//delete a user from the db
-async function deleteUser (req, res){
-    try{
-        const db = await sqlite.open({filename: dbFileName, driver: sqlite3.Database});
-
-        const user = await db.get('SELECT * FROM users WHERE username = ?', [req.session.username]);
-
-        if (!user){
-            console.log('User not found');
-            await db.close();
-            return;
-        }
+//Check the token sent with a request against the one in the session
+function hasValidCsrfToken(req) {
+    const expected = req.session && req.session.csrfToken;
+    const sent = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]) || req.query[CSRF_FIELD];
+    if (!expected || typeof sent !== 'string' || sent.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
 
-        await db.run('DELETE FROM users WHERE username = ?', [req.session.username]);
-        await db.close();
-        console.log('user deleted succefully');
+// Middleware to refuse state changing requests without a valid CSRF token
+function checkCsrfToken(req, res, next) {
+    if (!isStateChanging(req) || hasValidCsrfToken(req)) {
+        next();
+        return;
     }
-    catch (error) {
-        console.error('Error deleting user:', error);
+    console.log('Missing or invalid CSRF token');
+    if (wantsJson(req)) {
+        res.status(403).json({ error: 'Invalid CSRF token, reload the page and try again' });
+    } else {
+        renderError(req, res, 403, 'This form has expired',
+            'For your security the form could not be sent. Go back, reload the page and try again.');
     }
 }
 
-//function to delete all of the posts from a user in the db
-async function deleteUserPosts (req, res){
-    try{
-        const db = await sqlite.open({filename: dbFileName, driver: sqlite3.Database});
+//Read the limits from the defaults and any RATE_LIMIT_<NAME>=<requests>/<seconds> variables
+function loadRateLimits(defaults) {
+    const limits = {};
+    Object.entries(defaults).forEach(([name, [max, windowSeconds]]) => {
+        const override = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '');
+        limits[name] = override
+            ? { max: Number(override[1]), windowMs: Number(override[2]) * 1000 }
+            : { max, windowMs: windowSeconds * 1000 };
+    });
+    return limits;
+}
+
+// Middleware factory limiting state changing requests by the named limit in RATE_LIMITS
+function rateLimit(name) {
+    const limit = RATE_LIMITS[name];
+    return (req, res, next) => {
+        if (!isStateChanging(req)) {
+            next();
+            return;
+        }
 
-        const user = await db.get('SELECT * FROM users WHERE username = ?', [req.session.username]);
+        const client = req.session && req.session.userId ? `user:${req.session.userId}` : `ip:${req.ip}`;
+        const key = `${name}|${client}`;
+        const now = Date.now();
+        let counter = rateLimitCounters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + limit.windowMs };
+            rateLimitCounters.set(key, counter);
+        }
+        counter.count++;
 
-        if (!user){
-            console.log('User not found');
-            await db.close();
+        if (counter.count <= limit.max) {
+            next();
             return;
         }
+        const retryAfter = Math.ceil((counter.resetAt - now) / 1000);
+        console.log(`Rate limit ${name} reached for ${client}`);
+        sendTooManyRequests(req, res, retryAfter);
+    };
+}
 
-        await db.run('DELETE FROM posts WHERE username = ?', [req.session.username]);
-        await db.close();
-        console.log('user posts deleted succefully');
-    }
-    catch (error) {
-        console.error('Error deleting user posts:', error);
+//Refuse a request that went over a rate limit
+function sendTooManyRequests(req, res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    const wait = retryAfter < 90 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`;
+    const message = `You're doing that a lot. Take a breather and try again in ${wait}.`;
+    if (req.baseUrl.startsWith('/api/')) {
+        apiError(res, 429, 'rate_limited', message);
+    } else if (wantsJson(req)) {
+        res.status(429).json({ error: message });
+    } else {
+        renderError(req, res, 429, 'Slow down on the switchbacks', message);
     }
 }
 
+//Forget counters whose window has ended so the map doesn't keep growing
+function pruneRateLimitCounters() {
+    const now = Date.now();
+    rateLimitCounters.forEach((counter, key) => {
+        if (counter.resetAt <= now) {
+            rateLimitCounters.delete(key);
+        }
+    });
+}
 
-// Function to find a user by username
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Local Accounts
+//
+// Besides Google, users can log in with an email and password. Every way a user
+// can log in is a row in user_logins (provider 'google' with the hashed Google id,
+// or 'local' with the email and password hash), so one account can have several.
+// Passwords are hashed with scrypt and a random salt, stored as scrypt$salt$hash.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 
-async function findUserByUsername(username) {
-    try {
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const SCRYPT_KEY_LENGTH = 64;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
 
+//Emails are matched without case or surrounding spaces
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
 
-        // Check if the users table exists
-        const usersTableExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='users';`);
-        if (!usersTableExists) {
-            console.log('Users table does not exist.');
-            await db.close();
-            return false;
-        }
+//Checks the email and password from a signup or link form.
+//Returns { credentials } or { error } with a message for the user
+function parseNewCredentials(body) {
+    const email = normalizeEmail(body.email);
+    const password = typeof body.password === 'string' ? body.password : '';
 
-        const user = await db.get('SELECT * FROM users WHERE username = ?', [username]);
-        await db.close();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+        return { error: 'Enter a valid email address' };
+    }
+    const passwordError = checkNewPassword(body);
+    if (passwordError) {
+        return { error: passwordError };
+    }
+    return { credentials: { email, password } };
+}
 
-        if (user) {
-            return user;
-        } else {
-            console.log('User not found.');
-            return false;
-        }
-    } catch (error) {
-        console.error('Error finding user:', error);
-        return false;
+//Checks a new password and its confirmation, returns an error message if it can't be used
+function checkNewPassword(body) {
+    const password = typeof body.password === 'string' ? body.password : '';
+    if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
     }
+    if (password !== body.confirmPassword) {
+        return 'Passwords do not match';
+    }
+    return null;
 }
 
-// Function to find a user by google ID
-async function findUserByHashedGoogleId(hashedId) {
-    try {
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
+function scryptKey(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => err ? reject(err) : resolve(key));
+    });
+}
 
-        // Check if the users table exists
-        const usersTableExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='users';`);
-        if (!usersTableExists) {
-            console.log('Users table does not exist.');
-            await db.close();
-            return false;
-        }
+//Hashes a password for storage
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scryptKey(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
 
-        const user = await db.get('SELECT * FROM users WHERE hashedGoogleId = ?', [hashedId]);
-        await db.close();
+//True if the password matches a hash made by hashPassword
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const key = await scryptKey(password, salt);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(key, expected);
+}
 
-        if (user) {
-            return user;
-        } else {
-            console.log('id not found.');
-            return false;
+//Passport verify callback for the local strategy
+async function verifyLocalLogin(email, password, done) {
+    try {
+        const login = await findLocalLogin(normalizeEmail(email));
+        if (!login || !await verifyPassword(password, login.passwordHash)) {
+            return done(null, false, { message: 'Incorrect email or password' });
+        }
+        const user = await findUserByLogin('local', login.providerId);
+        if (!user) {
+            return done(null, false, { message: 'Incorrect email or password' });
         }
+        if (user.suspendedAt) {
+            return done(null, false, { message: 'This account has been suspended' });
+        }
+        return done(null, user);
     } catch (error) {
-        console.error('Error finding id:', error);
-        return false;
+        return done(error);
     }
 }
 
-//get the current date and format it
-function getDate(){
-    const date = new Date();
-
-    const day = date.getDay();
-    const month = date.getMonth();
-    const year = date.getFullYear();
-
-    const hour = date.getHours();
-    const minutes = date.getMinutes();
-
-    return year+'-'+month+'-'+day+'  '+hour+':'+minutes;
+//Function to find the email and password login for an email address
+async function findLocalLogin(email) {
+    try {
+        const db = await database.connect();
+        const login = await db.get(`SELECT * FROM user_logins WHERE provider = 'local' AND providerId = ?`, [email]);
+        return login;
+    } catch (error) {
+        console.error('Error finding login:', error);
+        return undefined;
+    }
 }
 
-// Function to add a new user
-async function addUser(username, req) {    
+//Function to get the ways the current user can log in, for the profile page
+async function getUserLogins(req, res) {
     try {
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
-
-        await db.run(
-            'INSERT INTO users (username, hashedGoogleId, avatar_url, memberSince) VALUES (?, ?, ?, ?)',
-            [username, req.session.hashedGoogleId, generateAvatar(getFirstLetter(username)), getDate()]
+        const db = await database.connect();
+        const logins = await db.all(
+            'SELECT id, provider, providerId, createdAt FROM user_logins WHERE user_id = ? ORDER BY id',
+            [req.session.userId]
         );
-        await db.close();
-        console.log('Post added successfully');
+        // Google ids are hashed so only local logins have something to show
+        return logins.map(login => ({
+            id: login.id,
+            provider: login.provider,
+            label: login.provider === 'local' ? login.providerId : 'Google account',
+            createdAt: login.createdAt
+        }));
     } catch (error) {
-        console.error('Error adding user:', error);
-
+        console.error('Error getting logins:', error);
+        return [];
     }
 }
 
-// Middleware to check if user is authenticated
-function isAuthenticated(req, res, next) {
-    console.log(req.session.userId);
-    if (req.session.userId) {
-        next();
-    } else {
-        res.redirect('/login');
+//Function to add a login method to a user. Returns false if it already belongs to someone
+async function addUserLogin(userId, provider, providerId, passwordHash) {
+    try {
+        const db = await database.connect();
+        await db.run(
+            'INSERT INTO user_logins (user_id, provider, providerId, passwordHash) VALUES (?, ?, ?, ?)',
+            [userId, provider, providerId, passwordHash || null]
+        );
+        console.log('Login added successfully');
+        return true;
+    } catch (error) {
+        console.error('Error adding login:', error);
+        return false;
     }
 }
 
-// Function to register a user
-async function registerUser(req, res) {
-    await addUser(req.body.userName, req);
+//Function to add an email and password login to the current user.
+//Returns an error message for the profile page if it couldn't be added
+async function addLocalLogin(req, res) {
+    const { credentials, error } = parseNewCredentials(req.body);
+    if (error) {
+        return error;
+    }
+    const logins = await getUserLogins(req, res);
+    if (logins.some(login => login.provider === 'local')) {
+        return 'You already have an email and password login';
+    }
+    if (await findLocalLogin(credentials.email)) {
+        return 'An account already uses that email';
+    }
+    const passwordHash = await hashPassword(credentials.password);
+    if (!await addUserLogin(req.session.userId, 'local', credentials.email, passwordHash)) {
+        return 'Could not add that login';
+    }
+    return null;
 }
 
-//Function to login a user
-async function loginUser(req, res) {
+//Function to remove one of the current user's login methods.
+//The last one can't be removed or the account would be locked out
+async function removeUserLogin(req, res) {
     try {
-        const user = await findUserByUsername(req.body.userName);
-        if (user) {
-            console.log("LOGGING IN: ", user.username);
-            req.session.userId = user.id;
-            req.session.loggedIn = true;
-            req.session.username = user.username;
-            req.session.avatar_url = user.avatar_url;
-            req.session.memberSince = user.memberSince;
-        } else {
-            console.log("User not found during login.");
+        const db = await database.connect();
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM user_logins WHERE user_id = ?', [req.session.userId]);
+        if (count <= 1) {
+            return 'You need at least one way to log in';
+        }
+        const login = await db.get('SELECT * FROM user_logins WHERE id = ? AND user_id = ?', [req.params.id, req.session.userId]);
+        if (login) {
+            await db.run('DELETE FROM user_logins WHERE id = ?', [login.id]);
+            if (login.provider === 'local') {
+                await db.run('DELETE FROM password_resets WHERE user_id = ?', [req.session.userId]);
+            }
         }
+        console.log('Login removed successfully');
+        return null;
     } catch (error) {
-        console.error("Error during login:", error);
-        // Handle error case
+        console.error('Error removing login:', error);
+        return 'Could not remove that login';
     }
 }
 
-// Function to logout a user
-function logoutUser(req, res) {
-    req.session.userId = undefined;
-    req.session.loggedIn = false;
-    req.session.username = undefined;
-    req.session.avatar_url =  undefined;
-    req.session.memberSince = undefined;
-    req.session.hashedGoogleId = undefined;
-}
-
-// Function to render the profile page
-async function renderProfile(req, res) {
-    const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
-
-    let filteredPosts = [];
 
-    const postsTableExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='posts';`);
-    if (postsTableExists) {
-        const posts = await db.all('SELECT * FROM posts WHERE username=?', [req.session.username]);
-        if (posts.length > 0) {
-            posts.forEach(post => {
-                filteredPosts.push(post);
-            });
-        } else {
-            console.log('No posts found.');
-        }
-    } else {
-        console.log('Posts table does not exist.');
+//Function to email a password reset link if the email has a local login.
+//Only a hash of the token is stored, the link in the email is the only copy
+async function requestPasswordReset(req, res) {
+    const login = await findLocalLogin(normalizeEmail(req.body.email));
+    if (!login) {
+        console.log('Password reset requested for an unknown email');
+        return;
     }
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        const db = await database.connect();
+        await db.run(
+            'INSERT INTO password_resets (user_id, tokenHash, expiresAt) VALUES (?, ?, ?)',
+            [login.user_id, hashId(token), Date.now() + PASSWORD_RESET_TTL]
+        );
 
-    await db.close();
-    return filteredPosts.slice().reverse();;
+        const link = `${req.protocol}://${req.get('host')}/resetPassword?token=${token}`;
+        await sendMail({
+            to: login.providerId,
+            subject: 'Reset your Hiking Trail Blog password',
+            text: `Someone asked to reset the password for your account. If it was you, choose a new password here:\n\n${link}\n\n` +
+                `The link works once and expires in an hour. If you didn't ask for this you can ignore this email.`
+        });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+    }
 }
 
-// Function to update post likes
-async function updatePostLikes(req, res) {
+//Function to find an unused, unexpired password reset by its token
+async function findPasswordReset(token) {
+    if (!token) {
+        return undefined;
+    }
     try {
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
-        // Retrieve the post by its id
-        const post = await db.get('SELECT * FROM posts WHERE id = ?', [req.params.id]);
-        await db.run(
-            'UPDATE posts SET likes = ? WHERE id = ?',
-            [post.likes + 1, req.params.id]
+        const db = await database.connect();
+        const reset = await db.get(
+            'SELECT * FROM password_resets WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > ?',
+            [hashId(token), Date.now()]
         );
-        await db.close();
+        return reset;
     } catch (error) {
-        console.error('Error updating likes: ', error);
+        console.error('Error finding password reset:', error);
+        return undefined;
     }
 }
 
-//Function to find the first letter of a username
-function getFirstLetter(username){
-    const letters = username.match(/[a-zA-z]/) //Array of letters matching regExp
+//Function to set a new password from a reset token, returns an error message if it couldn't be changed.
+//Using a token also cancels any other resets sent to the same user and signs them out everywhere
+async function resetPassword(token, body) {
+    const passwordError = checkNewPassword(body);
+    if (passwordError) {
+        return passwordError;
+    }
+    const reset = await findPasswordReset(token);
+    if (!reset) {
+        return 'This reset link has expired or was already used';
+    }
+    try {
+        const passwordHash = await hashPassword(body.password);
+        await database.transaction(async (db) => {
+            await db.run(`UPDATE user_logins SET passwordHash = ? WHERE user_id = ? AND provider = 'local'`, [passwordHash, reset.user_id]);
+            await db.run('UPDATE password_resets SET usedAt = CURRENT_TIMESTAMP WHERE user_id = ? AND usedAt IS NULL', [reset.user_id]);
+            await db.run('DELETE FROM sessions WHERE user_id = ?', [reset.user_id]);
+        });
+        console.log('Password reset successfully');
+        return null;
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        return 'Could not change the password';
+    }
+}
 
-    if(letters){
-        return letters[0];
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Mail
+//
+// Emails are handed to the transport named by MAIL_TRANSPORT. A transport is an
+// async function taking { from, to, subject, text }; to send real email add one
+// here (SMTP, an email API) and select it in the environment.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+const MAIL_TRANSPORTS = {
+    // Prints each message in the server log
+    console: async (message) => {
+        console.log(`Mail to ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    },
+    // Writes each message to its own .eml file in MAIL_DIR
+    file: async (message) => {
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        const contents = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            '',
+            message.text
+        ].join('\r\n');
+        await fs.promises.writeFile(path.join(MAIL_DIR, fileName), contents);
+        console.log(`Mail to ${message.to} saved as ${fileName}`);
     }
-    else{
-        return 'A'; //Default if username contains no letters
+};
+
+//Function to send an email, returns false if it couldn't be handed to the transport
+async function sendMail(message) {
+    const transport = MAIL_TRANSPORTS[MAIL_TRANSPORT];
+    if (!transport) {
+        console.error(`Unknown mail transport ${MAIL_TRANSPORT}`);
+        return false;
+    }
+    try {
+        await transport({ from: MAIL_FROM, ...message });
+        return true;
+    } catch (error) {
+        console.error('Error sending mail:', error);
+        return false;
     }
 }
 
-// Function to handle avatar generation and serving
-async function handleAvatar(req, res) {
-    let user = await findUserByUsername(req.params.username);
-    if (user) {
-        if (user.avatar_url === undefined) {
-            user.avatar_url = generateAvatar(getFirstLetter(req.session.username));
-            return user.avatar_url;
-        } else {
-            return user.avatar_url;
-        }
-    } else {
-        // Handle case where user is not found
-        console.log("User not found");
-        return null;
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Sessions
+//
+// express-session keeps sessions in the sessions table of websiteData.db so they
+// survive restarts. Each row holds the session data as JSON along with the user it
+// belongs to and the browser it was started from, which the profile page lists so
+// a user can sign out sessions they don't recognise. Times are in milliseconds.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+//Read the session secrets from the environment. Without one a random secret is used,
+//which logs everyone out on restart, so production has to set it
+function loadSessionSecrets(value) {
+    const secrets = (value || '').split(',').map(secret => secret.trim()).filter(Boolean);
+    if (secrets.length > 0) {
+        return secrets;
     }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('SESSION_SECRET must be set in production');
+    }
+    console.warn('SESSION_SECRET is not set, using a random secret until the server restarts.');
+    return [crypto.randomBytes(32).toString('hex')];
 }
 
-// Function to get the current user from session
-async function getCurrentUser(req) {
-    return await findUserByUsername(req.session.username);
+//When a session should be forgotten, from its cookie's expiry
+function sessionExpiry(sess) {
+    const expires = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+    return Number.isNaN(expires) ? Date.now() + SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000 : expires;
 }
 
-// Function to get all posts
-async function getPosts() {
-    const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
+//Session store for express-session backed by the sessions table
+function createSessionStore() {
+    const store = new session.Store();
 
-    let userPosts  = [];
+    store.get = (sid, callback) => {
+        database.connect().then(db => db.get('SELECT sess FROM sessions WHERE sid = ? AND expiresAt > ?', [sid, Date.now()]))
+            .then(row => callback(null, row ? JSON.parse(row.sess) : null), callback);
+    };
 
-    const postsTableExists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='posts';`);
-    if (postsTableExists) {
-        const posts = await db.all('SELECT * FROM posts');
-        if (posts.length > 0) {
-            posts.forEach(post => {
-                userPosts.push(post);
-            });
-        } else {
-            console.log('No posts found.');
-        }
-    } else {
-        console.log('Posts table does not exist.');
+    store.set = (sid, sess, callback) => {
+        const now = Date.now();
+        database.connect().then(db => db.run(
+            `INSERT INTO sessions (sid, sess, user_id, userAgent, createdAt, lastSeenAt, expiresAt)
+                VALUES (?, ?, (SELECT id FROM users WHERE id = ?), ?, ?, ?, ?)
+                ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, user_id = excluded.user_id,
+                    userAgent = excluded.userAgent, lastSeenAt = excluded.lastSeenAt, expiresAt = excluded.expiresAt`,
+            [sid, JSON.stringify(sess), sess.userId || null, sess.userAgent || null, now, now, sessionExpiry(sess)]
+        )).then(() => callback(null), callback);
+    };
+
+    store.touch = (sid, sess, callback) => {
+        database.connect().then(db => db.run(
+            'UPDATE sessions SET lastSeenAt = ?, expiresAt = ? WHERE sid = ?',
+            [Date.now(), sessionExpiry(sess), sid]
+        )).then(() => callback(null), callback);
+    };
+
+    store.destroy = (sid, callback) => {
+        database.connect().then(db => db.run('DELETE FROM sessions WHERE sid = ?', [sid]))
+            .then(() => callback(null), callback);
+    };
+
+    return store;
+}
+
+//Swaps the session for a new empty one, which logs the user out while letting the
+//request carry on. API requests have a plain object instead of a stored session
+function resetSession(req) {
+    if (typeof req.session.regenerate !== 'function') {
+        req.session = {};
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(err => err ? reject(err) : resolve());
+    });
+}
+
+//A short name for the browser and system in a user agent string, like "Firefox on Windows"
+function describeUserAgent(userAgent) {
+    if (!userAgent) {
+        return 'Unknown browser';
+    }
+    const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+    const systems = [['Windows', 'Windows'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+    if (!browser) {
+        return userAgent.slice(0, 60);
     }
+    return system ? `${browser[1]} on ${system[1]}` : browser[1];
+}
 
-    await db.close();
-    return userPosts;
+//Sessions keep their times as milliseconds, the page shows them like every other timestamp
+function formatSessionTime(ms) {
+    return new Date(ms).toISOString();
 }
 
-// Function to add a new post
-async function addPost(title, content, user) {
+//Function to get the current user's active sessions for the profile page, newest first
+async function getUserSessions(req, res) {
     try {
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
-        await db.run(
-            'INSERT INTO posts (title, content, username, timestamp, likes) VALUES (?, ?, ?, ?, ?)',
-            [title, content, user.username, getDate(), 0]
+        const db = await database.connect();
+        const sessions = await db.all(
+            `SELECT id, sid, userAgent, createdAt, lastSeenAt FROM sessions
+                WHERE user_id = ? AND expiresAt > ? ORDER BY lastSeenAt DESC`,
+            [req.session.userId, Date.now()]
         );
-        await db.close();
-        console.log('Post added successfully');
+        // The session id is what the cookie holds, so only the row id goes to the page
+        return sessions.map(row => ({
+            id: row.id,
+            device: describeUserAgent(row.userAgent),
+            signedInAt: formatSessionTime(row.createdAt),
+            lastSeenAt: formatSessionTime(row.lastSeenAt),
+            current: row.sid === req.sessionID
+        }));
     } catch (error) {
-        console.error('Error adding post:', error);
+        console.error('Error getting sessions:', error);
+        return [];
     }
 }
 
-//Function to delete a post
-async function deletePost(req,res){
+//Function to sign out one of the current user's other sessions
+async function deleteSession(req, res) {
     try {
-        const db = await sqlite.open({ filename: dbFileName, driver: sqlite3.Database });
-        
-        // Retrieve the post by its id
-        const post = await db.get('SELECT * FROM posts WHERE id = ?', [req.params.id]);
-        
-        if (!post) {
-            console.log('Post not found');
-            await db.close();
-            return;
-        }
-        
-        // Check if the username matches
-        if (post.username !== req.session.username) {
-            console.log('Username does not match');
-            await db.close();
-            return;
-        }
-        
-        // Delete the post if the username matches
-        await db.run('DELETE FROM posts WHERE id = ?', [req.params.id]);
-        await db.close();
-        console.log('Post deleted successfully');
+        const db = await database.connect();
+        await db.run(
+            'DELETE FROM sessions WHERE id = ? AND user_id = ? AND sid != ?',
+            [req.params.id, req.session.userId, req.sessionID]
+        );
+        console.log('Session deleted successfully');
     } catch (error) {
-        console.error('Error deleting post:', error);
+        console.error('Error deleting session:', error);
     }
-
 }
 
-// Function to generate an image avatar
-function generateAvatar(letter, width = 100, height = 100) {
-    const colorScheme = ["#4369D9", "#C2E0F2", "#95A617", "#D9C355", "#BFAB6F"];
-
-    if (typeof width !== 'number' || typeof height !== 'number' || width <= 0 || height <= 0) {
-        throw new Error('Invalid width or height values');
+//function to sign a user out of all of their sessions
+async function deleteUserSessions(req, res) {
+    try {
+        const db = await database.connect();
+        await db.run('DELETE FROM sessions WHERE user_id = ?', [req.session.userId]);
+        console.log('user sessions deleted succefully');
+    } catch (error) {
+        console.error('Error deleting user sessions:', error);
     }
-
-    //generate canvas
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext('2d');
-
-    //background
-    ctx.fillStyle = colorScheme[Math.floor(Math.random() * 5)];
-    roundedRect(ctx, 0, 0, width, height, 10);
-    ctx.fill();
-
-    //text
-    ctx.fillStyle = '#000000';
-    ctx.font = `${Math.min(width, height) * 0.6}px Arial`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(letter.toUpperCase(), width / 2, height / 2);
-
-    //Return the avatar as a PNG buffer
-    return canvas.toBuffer('image/png');
 }
 
-//Source: https://www.youtube.com/watch?v=nVal6k08pQY
-// Function to draw a rounded rectangle
-function roundedRect(ctx, x, y, width, height, radius) {
-    ctx.beginPath();
-    ctx.moveTo(x + radius, y);
-    ctx.arcTo(x + width, y, x + width, y + height, radius);
-    ctx.arcTo(x + width, y + height, x, y + height, radius);
-    ctx.arcTo(x, y + height, x, y, radius);
-    ctx.arcTo(x, y, x + width, y, radius);
-    ctx.closePath();
-}
\ No newline at end of file
+//Remove sessions that have expired so the table doesn't keep growing
+async function pruneExpiredSessions() {
+    try {
+        const db = await database.connect();
+        await db.run('DELETE FROM sessions WHERE expiresAt <= ?', [Date.now()]);
+    } catch (error) {
+        console.error('Error pruning sessions:', error);
+    }
+}
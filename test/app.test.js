@@ -0,0 +1,832 @@
+// Integration tests for the main flows of the site. The app runs against an
+// in-memory database with Google login faked by FakeGoogleStrategy, so nothing
+// here needs the network or touches websiteData.db.
+//
+// Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const AdmZip = require('adm-zip');
+
+process.env.SESSION_SECRET = 'test-secret';
+// Every test client comes from the same address, so the per-IP limits are raised
+process.env.RATE_LIMIT_DEFAULT = '10000/60';
+process.env.RATE_LIMIT_ACCOUNT = '10000/60';
+// Low enough that the test photos, which all decode as 640×480, are over it
+process.env.PHOTO_MAX_PIXELS = '100000';
+
+const { createApp, publishDuePosts } = require('../server');
+const database = require('../database');
+const { FakeGoogleStrategy, TestClient, redirectPath } = require('./helpers');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = await createApp({ databaseFile: ':memory:', googleStrategy: new FakeGoogleStrategy() });
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.close();
+});
+
+//Adds a post as client and returns its id, the newest post by username
+async function addPost(client, username, fields) {
+    const res = await client.post('/posts', fields);
+    assert.strictEqual(res.status, 302);
+    const post = await database.connect().then(db => db.get(
+        `SELECT posts.id FROM posts JOIN users ON users.id = posts.user_id
+            WHERE users.username = ? ORDER BY posts.id DESC LIMIT 1`,
+        [username]
+    ));
+    assert.ok(post, 'the post was saved');
+    return post.id;
+}
+
+//Status of a GET sent with node:http. fetch can't be used for conditional requests since it
+//adds Cache-Control: no-cache to any request with an If-None-Match header
+function getStatus(path, headers) {
+    return new Promise((resolve, reject) => {
+        http.get(baseUrl + path, { headers }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        }).on('error', reject);
+    });
+}
+
+//The post as the JSON API sends it to client, or null if it isn't found
+async function getApiPost(client, id) {
+    const res = await client.get(`/api/v1/posts/${id}`);
+    return res.status === 200 ? (await res.json()).post : null;
+}
+
+//Stores a photo and a track map for a post straight in the db, returns the photo's id.
+//The images aren't real, only whether they are served matters
+async function addPostImages(postId) {
+    const db = await database.connect();
+    const image = Buffer.from('image');
+    await db.run(
+        'INSERT INTO tracks (post_id, distance, elevationGain, elevationLoss, mapImage) VALUES (?, 1, 0, 0, ?)',
+        [postId, image]
+    );
+    const result = await db.run(
+        'INSERT INTO post_photos (post_id, seq, width, height, thumbnail, display) VALUES (?, 0, 1, 1, ?, ?)',
+        [postId, image, image]
+    );
+    return result.lastID;
+}
+
+describe('registration', () => {
+    it('sends a new Google account to /registerUsername', async () => {
+        const client = new TestClient(baseUrl);
+        const res = await client.loginWithGoogle('google-new');
+        assert.strictEqual(redirectPath(res), '/registerUsername');
+
+        const page = await client.get('/registerUsername');
+        assert.strictEqual(page.status, 200);
+    });
+
+    it('goes through the fake provider from /auth/google', async () => {
+        const client = new TestClient(baseUrl);
+        const res = await client.get('/auth/google?as=google-roundtrip');
+        assert.strictEqual(redirectPath(res), '/auth/google/callback?code=google-roundtrip');
+
+        const callback = await client.get(redirectPath(res));
+        assert.strictEqual(redirectPath(callback), '/registerUsername');
+    });
+
+    it('creates the user and logs them in', async () => {
+        const client = new TestClient(baseUrl);
+        const res = await client.register('google-ann', 'ann');
+        assert.strictEqual(redirectPath(res), '/');
+
+        const profile = await client.get('/profile');
+        assert.strictEqual(profile.status, 200);
+        assert.match(await profile.text(), /ann/);
+    });
+
+    it('logs a registered Google account straight in', async () => {
+        await new TestClient(baseUrl).register('google-returning', 'returning');
+
+        const client = new TestClient(baseUrl);
+        const res = await client.loginWithGoogle('google-returning');
+        assert.strictEqual(redirectPath(res), '/');
+        assert.strictEqual((await client.get('/profile')).status, 200);
+    });
+
+    it('refuses a username that is taken', async () => {
+        await new TestClient(baseUrl).register('google-bea', 'bea');
+
+        const client = new TestClient(baseUrl);
+        const res = await client.register('google-other-bea', 'bea');
+        assert.strictEqual(redirectPath(res), '/registerUsername?error=Already%20Registered');
+        assert.notStrictEqual((await client.get('/profile')).status, 200);
+    });
+
+    it('needs a login first', async () => {
+        const client = new TestClient(baseUrl);
+        const res = await client.post('/registerUsername', { userName: 'nobody' });
+        assert.strictEqual(redirectPath(res), '/login');
+        assert.strictEqual(await database.users.findByUsername('nobody'), undefined);
+    });
+});
+
+describe('sessions', () => {
+    it('only starts a session for pages that carry a CSRF token', async () => {
+        const db = await database.connect();
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM sessions');
+        const client = new TestClient(baseUrl);
+        for (const path of ['/feed.rss', '/avatar/nobody-at-all', '/css/homeStyles.css', '/api/v1/posts']) {
+            assert.strictEqual((await client.get(path)).status, 200, path);
+        }
+        assert.strictEqual(client.cookies.size, 0);
+        assert.strictEqual((await db.get('SELECT COUNT(*) AS count FROM sessions')).count, count);
+
+        assert.notStrictEqual(await client.csrfToken(), '');
+        assert.strictEqual(client.cookies.size, 1);
+    });
+});
+
+describe('posts', () => {
+    let author;
+    let reader;
+
+    before(async () => {
+        author = new TestClient(baseUrl);
+        await author.register('google-poster', 'poster');
+        reader = new TestClient(baseUrl);
+        await reader.register('google-reader', 'reader');
+    });
+
+    it('adds a post with its trail details', async () => {
+        const id = await addPost(author, 'poster', {
+            title: 'Half Dome',
+            content: 'Cables were up',
+            trailName: 'Mist Trail',
+            distance: '14.2',
+            difficulty: 'strenuous'
+        });
+
+        const post = await getApiPost(reader, id);
+        assert.strictEqual(post.title, 'Half Dome');
+        assert.strictEqual(post.username, 'poster');
+        assert.strictEqual(post.trail.trailName, 'Mist Trail');
+        assert.strictEqual(post.trail.distance, 14.2);
+
+        const home = await (await reader.get('/')).text();
+        assert.match(home, /Half Dome/);
+    });
+
+    it('rejects invalid trail details', async () => {
+        const res = await author.post('/posts', { title: 'Bad', content: 'x', difficulty: 'impossible' });
+        assert.match(redirectPath(res), /^\/\?error=/);
+    });
+
+    it('refuses photos over the size limit', async () => {
+        const res = await author.upload('/posts', { title: 'Huge photo', content: 'x' },
+            { photos: { name: 'huge.png', type: 'image/png', data: Buffer.from('not really a png') } });
+        assert.match(decodeURIComponent(redirectPath(res)), /huge\.png is too large/);
+
+        const home = await (await reader.get('/')).text();
+        assert.doesNotMatch(home, /Huge photo/);
+    });
+
+    it('likes a post once per user and unlikes it', async () => {
+        const id = await addPost(author, 'poster', { title: 'Likeable', content: 'Nice views' });
+
+        await reader.post(`/like/${id}`);
+        let post = await getApiPost(reader, id);
+        assert.strictEqual(post.likes, 1);
+        assert.strictEqual(post.likedByUser, true);
+
+        await reader.post(`/like/${id}`);
+        post = await getApiPost(reader, id);
+        assert.strictEqual(post.likes, 0);
+        assert.strictEqual(post.likedByUser, false);
+    });
+
+    it('ignores likes from visitors who are not logged in', async () => {
+        const id = await addPost(author, 'poster', { title: 'Anonymous likes', content: 'x' });
+        await new TestClient(baseUrl).post(`/like/${id}`);
+        assert.strictEqual((await getApiPost(reader, id)).likes, 0);
+    });
+
+    it('only lets the author delete a post', async () => {
+        const id = await addPost(author, 'poster', { title: 'Short lived', content: 'x' });
+
+        await reader.post(`/delete/${id}`);
+        assert.ok(await getApiPost(reader, id), 'still there after someone else tried');
+
+        await author.post(`/delete/${id}`);
+        assert.strictEqual(await getApiPost(reader, id), null);
+        assert.strictEqual((await reader.get(`/posts/${id}`)).status, 404);
+    });
+
+    it('deletes the comments and likes with the post', async () => {
+        const id = await addPost(author, 'poster', { title: 'Busy post', content: 'x' });
+        await reader.post(`/like/${id}`);
+        await reader.post(`/posts/${id}/comments`, { content: 'Great trip' });
+
+        await author.post(`/delete/${id}`);
+        const db = await database.connect();
+        assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM comments WHERE post_id = ?', [id])).n, 0);
+        assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM post_likes WHERE post_id = ?', [id])).n, 0);
+    });
+});
+
+describe('username updates', () => {
+    it('renames the user and keeps their posts', async () => {
+        const client = new TestClient(baseUrl);
+        await client.register('google-cal', 'cal');
+        const id = await addPost(client, 'cal', { title: 'Renamed author', content: 'x' });
+
+        const res = await client.post('/updateUsername', { userName: 'calvin' });
+        assert.strictEqual(redirectPath(res), '/Profile');
+
+        assert.strictEqual(await database.users.findByUsername('cal'), undefined);
+        assert.ok(await database.users.findByUsername('calvin'));
+        assert.strictEqual((await getApiPost(client, id)).username, 'calvin');
+        assert.strictEqual((await client.get('/users/calvin')).status, 200);
+        assert.strictEqual((await client.get('/users/cal')).status, 404);
+    });
+
+    it('refuses a username that is taken', async () => {
+        await new TestClient(baseUrl).register('google-dee', 'dee');
+        const client = new TestClient(baseUrl);
+        await client.register('google-eve', 'eve');
+
+        const res = await client.post('/updateUsername', { userName: 'dee' });
+        assert.strictEqual(redirectPath(res), '/Profile?error=Already%20Registered');
+        assert.ok(await database.users.findByUsername('eve'));
+    });
+
+    it('needs a login', async () => {
+        const res = await new TestClient(baseUrl).post('/updateUsername', { userName: 'sneaky' });
+        assert.strictEqual(redirectPath(res), '/login');
+        assert.strictEqual(await database.users.findByUsername('sneaky'), undefined);
+    });
+});
+
+describe('avatars', () => {
+    it('serves a PNG for each user', async () => {
+        await new TestClient(baseUrl).register('google-fay', 'fay');
+
+        const res = await new TestClient(baseUrl).get('/avatar/fay');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'image/png');
+        const image = Buffer.from(await res.arrayBuffer());
+        assert.deepStrictEqual(image.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    });
+
+    it('draws the same generated avatar every time', async () => {
+        const client = new TestClient(baseUrl);
+        const first = Buffer.from(await (await client.get('/avatar/fay')).arrayBuffer());
+        const second = Buffer.from(await (await client.get('/avatar/fay')).arrayBuffer());
+        assert.deepStrictEqual(first, second);
+    });
+
+    it('answers 304 when the ETag still matches', async () => {
+        const client = new TestClient(baseUrl);
+        const res = await client.get('/avatar/fay?size=40');
+        const etag = res.headers.get('etag');
+        assert.ok(etag);
+        assert.notStrictEqual(etag, (await client.get('/avatar/fay?size=200')).headers.get('etag'));
+
+        assert.strictEqual(await getStatus('/avatar/fay?size=40', { 'If-None-Match': etag }), 304);
+    });
+
+    it('changes with the theme the user picks', async () => {
+        const client = new TestClient(baseUrl);
+        await client.register('google-gil', 'gil');
+        const before = (await client.get('/avatar/gil')).headers.get('etag');
+
+        await client.post('/avatar/theme', { theme: 'forest' });
+        assert.notStrictEqual((await client.get('/avatar/gil')).headers.get('etag'), before);
+    });
+
+    it('refuses an uploaded photo over the size limit', async () => {
+        const client = new TestClient(baseUrl);
+        await client.register('google-ida', 'ida');
+        const before = (await client.get('/avatar/ida')).headers.get('etag');
+
+        const res = await client.upload('/avatar', {},
+            { avatar: { name: 'huge.png', type: 'image/png', data: Buffer.from('not really a png') } });
+        assert.match(decodeURIComponent(redirectPath(res)), /huge\.png is too large/);
+        assert.strictEqual((await client.get('/avatar/ida')).headers.get('etag'), before);
+    });
+
+    it('serves a placeholder for unknown users', async () => {
+        const res = await new TestClient(baseUrl).get('/avatar/nobody-at-all');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'image/png');
+        assert.ok((await res.arrayBuffer()).byteLength > 0);
+    });
+
+    it('falls back to the generated avatar when a stored photo can\'t be read', async () => {
+        const client = new TestClient(baseUrl);
+        await client.register('google-hal', 'hal');
+        const { id } = await database.users.findByUsername('hal');
+        await database.connect().then(db => db.run(
+            'INSERT INTO user_avatars (user_id, image) VALUES (?, ?)', [id, Buffer.from('xx')]
+        ));
+
+        const res = await client.get('/avatar/hal?size=40');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'image/png');
+        assert.strictEqual(res.headers.get('cache-control'), 'no-store');
+
+        // the account export still goes out, with the avatar the manifest names
+        const archive = await client.get('/exportAccount');
+        assert.strictEqual(archive.status, 200);
+        const zip = new AdmZip(Buffer.from(await archive.arrayBuffer()));
+        const { avatar } = JSON.parse(zip.readAsText('account.json')).profile;
+        assert.ok(zip.getEntry(avatar));
+    });
+});
+
+describe('moderation', () => {
+    it('keeps the photos and track of a hidden post to its author and the moderators', async () => {
+        const author = new TestClient(baseUrl);
+        await author.register('google-spammer', 'spammer');
+        const moderator = new TestClient(baseUrl);
+        await moderator.register('google-moderator', 'moderator');
+        const visitor = new TestClient(baseUrl);
+        await visitor.register('google-visitor', 'visitor');
+        await database.connect().then(db => db.run("UPDATE users SET role = 'admin' WHERE username = 'moderator'"));
+
+        const id = await addPost(author, 'spammer', { title: 'Buy now', content: 'Spam' });
+        const photoId = await addPostImages(id);
+        assert.strictEqual((await visitor.get(`/photo/${photoId}/display`)).status, 200);
+
+        await moderator.post(`/admin/posts/${id}/hide`);
+        assert.strictEqual((await visitor.get(`/photo/${photoId}/display`)).status, 404);
+        assert.strictEqual((await visitor.get(`/track/${id}/map`)).status, 404);
+        assert.strictEqual((await author.get(`/photo/${photoId}/display`)).status, 200);
+        assert.strictEqual((await moderator.get(`/photo/${photoId}/display`)).status, 200);
+        assert.strictEqual((await moderator.get(`/track/${id}/map`)).status, 200);
+    });
+
+    it('leaves the regions of hidden posts out of the home page filter', async () => {
+        const author = new TestClient(baseUrl);
+        await author.register('google-troll', 'troll');
+        const moderator = new TestClient(baseUrl);
+        await moderator.loginWithGoogle('google-moderator');
+
+        const id = await addPost(author, 'troll', { title: 'Nonsense', content: 'x', region: 'Nowhere Land' });
+        assert.match(await (await author.get('/')).text(), /value="Nowhere Land"/);
+
+        await moderator.post(`/admin/posts/${id}/hide`);
+        assert.doesNotMatch(await (await author.get('/')).text(), /value="Nowhere Land"/);
+    });
+});
+
+describe('tags and collections', () => {
+    let author;
+    let reader;
+
+    before(async () => {
+        author = new TestClient(baseUrl);
+        await author.register('google-tagger', 'tagger');
+        reader = new TestClient(baseUrl);
+        await reader.register('google-collector', 'collector');
+    });
+
+    it('stores tags normalized and without repeats', async () => {
+        const id = await addPost(author, 'tagger', {
+            title: 'Longs Peak',
+            content: 'Keyhole route',
+            tags: 'Fourteeners, #fourteeners, Dog Friendly, winter_hikes'
+        });
+
+        const post = await getApiPost(reader, id);
+        assert.deepStrictEqual(post.tags, ['dog-friendly', 'fourteeners', 'winter-hikes']);
+    });
+
+    it('rejects too many tags', async () => {
+        const tags = Array.from({ length: 11 }, (_, i) => `tag${i}`).join(',');
+        const res = await author.post('/posts', { title: 'Tagged', content: 'x', tags });
+        assert.match(redirectPath(res), /^\/\?error=/);
+    });
+
+    it('lists the posts with a tag on its page', async () => {
+        await addPost(author, 'tagger', { title: 'Snowy Ridge', content: 'Microspikes', tags: 'snowshoe' });
+        await addPost(author, 'tagger', { title: 'Desert Loop', content: 'Hot', tags: 'desert' });
+
+        const res = await reader.get('/tags/snowshoe');
+        assert.strictEqual(res.status, 200);
+        const page = await res.text();
+        assert.match(page, /Snowy Ridge/);
+        assert.doesNotMatch(page, /Desert Loop/);
+
+        assert.strictEqual(redirectPath(await reader.get('/tags/SnowShoe')), '/tags/snowshoe');
+        assert.strictEqual((await reader.get('/tags/no-such-tag')).status, 404);
+        assert.match(await (await reader.get('/tags')).text(), /href="\/tags\/snowshoe"/);
+    });
+
+    it('replaces the tags when a post is edited', async () => {
+        const id = await addPost(author, 'tagger', { title: 'Retag', content: 'x', tags: 'old' });
+        await author.post(`/posts/${id}/edit`, { title: 'Retag', content: 'x', tags: 'new, newer' });
+
+        const post = await getApiPost(reader, id);
+        assert.deepStrictEqual(post.tags, ['new', 'newer']);
+
+        const form = await (await author.get(`/posts/${id}/edit`)).text();
+        assert.match(form, /name="tags" value="new, newer"/);
+    });
+
+    it('saves posts to a collection shown on the profile', async () => {
+        const id = await addPost(author, 'tagger', { title: 'Mount Whitney', content: 'Permit day' });
+
+        assert.strictEqual(redirectPath(await reader.post('/collections', { name: '2026 bucket list' })), '/profile');
+        const collection = await database.connect().then(db => db.get(
+            "SELECT id FROM collections WHERE name = '2026 bucket list'"
+        ));
+        await reader.post(`/collections/${collection.id}/posts`, { postId: id });
+
+        const profile = await (await reader.get('/users/collector')).text();
+        assert.match(profile, /2026 bucket list<\/a> \(1 Posts\)/);
+        assert.match(await (await author.get(`/collections/${collection.id}`)).text(), /Mount Whitney/);
+
+        // only the owner can change it
+        await author.post(`/collections/${collection.id}/posts/${id}/remove`);
+        assert.match(await (await reader.get(`/collections/${collection.id}`)).text(), /Mount Whitney/);
+
+        await reader.post(`/collections/${collection.id}/posts/${id}/remove`);
+        assert.doesNotMatch(await (await reader.get(`/collections/${collection.id}`)).text(), /Mount Whitney/);
+    });
+
+    it('refuses a second collection with the same name', async () => {
+        await reader.post('/collections', { name: 'Winter' });
+        const res = await reader.post('/collections', { name: 'Winter' });
+        assert.match(redirectPath(res), /^\/profile\?collectionError=/);
+    });
+});
+
+describe('group hikes', () => {
+    let organizer;
+    let first;
+    let second;
+
+    before(async () => {
+        organizer = new TestClient(baseUrl);
+        await organizer.register('google-organizer', 'organizer');
+        first = new TestClient(baseUrl);
+        await first.register('google-first', 'first');
+        second = new TestClient(baseUrl);
+        await second.register('google-second', 'second');
+    });
+
+    //Plans a group hike a week from now as the organizer, returns its id
+    function planHike(fields) {
+        return addPost(organizer, 'organizer', {
+            title: 'Sunrise on Mount Tam',
+            content: 'Bring a headlamp',
+            difficulty: 'moderate',
+            isEvent: '1',
+            meetingPoint: 'Pantoll Ranger Station',
+            startTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+            ...fields
+        });
+    }
+
+    it('adds a group hike listed on the home page', async () => {
+        const id = await planHike({ title: 'Dipsea Stairs', capacity: '8', timezoneOffset: '420' });
+
+        const post = await getApiPost(first, id);
+        assert.strictEqual(post.event.meetingPoint, 'Pantoll Ranger Station');
+        assert.strictEqual(post.event.capacity, 8);
+        assert.strictEqual(post.event.spotsLeft, 8);
+
+        const home = await (await first.get('/')).text();
+        assert.match(home, /Upcoming Group Hikes[\s\S]*Dipsea Stairs/);
+    });
+
+    it('reads a local start time with the planner\'s offset', async () => {
+        const year = new Date().getUTCFullYear() + 1;
+        const id = await planHike({ startTime: `${year}-06-01T07:30`, timezoneOffset: '420' });
+
+        const post = await getApiPost(first, id);
+        assert.strictEqual(post.event.startTime, `${year}-06-01T14:30:00.000Z`);
+    });
+
+    it('rejects hikes without a meeting point or in the past', async () => {
+        let res = await organizer.post('/posts', { title: 'x', content: 'x', difficulty: 'easy', isEvent: '1',
+            startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+        assert.match(redirectPath(res), /^\/\?error=/);
+
+        res = await organizer.post('/posts', { title: 'x', content: 'x', difficulty: 'easy', isEvent: '1',
+            meetingPoint: 'Trailhead', startTime: '2020-01-01T08:00:00Z' });
+        assert.match(redirectPath(res), /^\/\?error=/);
+    });
+
+    it('waitlists people past capacity and moves them up when a spot frees', async () => {
+        const id = await planHike({ capacity: '1' });
+
+        await first.post(`/posts/${id}/rsvp`, { status: 'going' });
+        await second.post(`/posts/${id}/rsvp`, { status: 'going' });
+        let post = await getApiPost(second, id);
+        assert.deepStrictEqual(post.event.going, ['first']);
+        assert.deepStrictEqual(post.event.waitlist, ['second']);
+        assert.strictEqual(post.event.viewerStatus, 'going');
+
+        await first.post(`/posts/${id}/rsvp`, { status: 'not-going' });
+        post = await getApiPost(second, id);
+        assert.deepStrictEqual(post.event.going, ['second']);
+        assert.deepStrictEqual(post.event.waitlist, []);
+
+        // coming back puts you at the end of the line
+        await first.post(`/posts/${id}/rsvp`, { status: 'going' });
+        post = await getApiPost(first, id);
+        assert.deepStrictEqual(post.event.going, ['second']);
+        assert.deepStrictEqual(post.event.waitlist, ['first']);
+    });
+
+    it('refuses answers from the organizer', async () => {
+        const id = await planHike();
+        const res = await organizer.post(`/posts/${id}/rsvp`, { status: 'going' });
+        assert.match(redirectPath(res), new RegExp(`^/posts/${id}\\?rsvpError=`));
+    });
+
+    it('downloads an iCalendar file', async () => {
+        const id = await planHike({ title: 'Hike; with, commas', duration: '3' });
+
+        const res = await first.get(`/posts/${id}/event.ics`);
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/calendar/);
+        const calendar = await res.text();
+        assert.match(calendar, /^BEGIN:VCALENDAR\r\n/);
+        assert.match(calendar, /\r\nSUMMARY:Hike\\; with\\, commas\r\n/);
+        assert.match(calendar, /\r\nLOCATION:Pantoll Ranger Station\r\n/);
+        assert.match(calendar, /\r\nDTSTART:\d{8}T\d{6}Z\r\n/);
+        assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75), 'lines are folded');
+
+        const plainPost = await addPost(organizer, 'organizer', { title: 'Not a hike', content: 'x' });
+        assert.strictEqual((await first.get(`/posts/${plainPost}/event.ics`)).status, 404);
+    });
+
+    it('turns a finished hike into a trip report with its attendees', async () => {
+        const id = await planHike({ title: 'Steep Ravine' });
+        await first.post(`/posts/${id}/rsvp`, { status: 'going' });
+        await second.post(`/posts/${id}/rsvp`, { status: 'maybe' });
+
+        // a hike that hasn't started can't be written up yet
+        assert.strictEqual((await organizer.get(`/posts/${id}/convert`)).status, 404);
+
+        await database.connect().then(db => db.run(
+            'UPDATE events SET startTime = ? WHERE post_id = ?',
+            [new Date(Date.now() - 60 * 60 * 1000).toISOString(), id]
+        ));
+        const form = await organizer.get(`/posts/${id}/convert`);
+        assert.strictEqual(form.status, 200);
+
+        const { id: firstId } = await database.users.findByUsername('first');
+        const res = await organizer.post(`/posts/${id}/convert`, {
+            title: 'Steep Ravine trip report',
+            content: 'Foggy but great',
+            difficulty: 'moderate',
+            attendees: String(firstId)
+        });
+        assert.strictEqual(redirectPath(res), `/posts/${id}`);
+
+        const post = await getApiPost(first, id);
+        assert.strictEqual(post.title, 'Steep Ravine trip report');
+        assert.ok(post.event.convertedAt);
+        assert.deepStrictEqual(post.attendees, ['first']);
+        assert.match(await (await first.get(`/posts/${id}`)).text(), /Group hike on[\s\S]*>first<\/a>/);
+
+        // only once
+        assert.strictEqual((await organizer.get(`/posts/${id}/convert`)).status, 404);
+    });
+});
+
+describe('drafts and scheduled posts', () => {
+    let writer;
+    let reader;
+
+    before(async () => {
+        writer = new TestClient(baseUrl);
+        await writer.register('google-writer', 'writer');
+        reader = new TestClient(baseUrl);
+        await reader.register('google-reader', 'reader');
+    });
+
+    it('keeps a draft to its author until it is published', async () => {
+        const res = await writer.post('/posts', { title: 'Half written', content: 'More to come', action: 'draft' });
+        assert.strictEqual(redirectPath(res), '/profile');
+        const { id } = await database.connect().then(db => db.get("SELECT id FROM posts WHERE title = 'Half written'"));
+
+        assert.strictEqual(await getApiPost(reader, id), null);
+        assert.doesNotMatch(await (await reader.get('/')).text(), /Half written/);
+        assert.doesNotMatch(await (await reader.get('/users/writer')).text(), /Half written/);
+        assert.match(await (await writer.get('/profile')).text(), /id="drafts"[\s\S]*Half written/);
+        assert.strictEqual((await getApiPost(writer, id)).status, 'draft');
+
+        await writer.post(`/posts/${id}/edit`, { title: 'Fully written', content: 'Done', action: 'publish' });
+        const post = await getApiPost(reader, id);
+        assert.strictEqual(post.status, 'published');
+        assert.strictEqual(post.title, 'Fully written');
+        assert.strictEqual(post.editedAt, null);
+    });
+
+    it('keeps a draft\'s photos and track to its author', async () => {
+        await writer.post('/posts', { title: 'Secret route', content: 'Not yet', action: 'draft' });
+        const { id } = await database.connect().then(db => db.get("SELECT id FROM posts WHERE title = 'Secret route'"));
+        const photoId = await addPostImages(id);
+
+        assert.strictEqual((await reader.get(`/photo/${photoId}/display`)).status, 404);
+        assert.strictEqual((await reader.get(`/photo/${photoId}/thumb`)).status, 404);
+        assert.strictEqual((await reader.get(`/track/${id}/map`)).status, 404);
+        assert.strictEqual((await writer.get(`/photo/${photoId}/display`)).status, 200);
+        assert.strictEqual((await writer.get(`/track/${id}/map`)).status, 200);
+    });
+
+    it('publishes a scheduled post once its time comes', async () => {
+        const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+        const res = await writer.post('/posts', {
+            title: 'Sunday summit', content: 'See you there', action: 'schedule',
+            publishAt: publishAt.toISOString()
+        });
+        assert.strictEqual(redirectPath(res), '/profile');
+        const { id } = await database.connect().then(db => db.get("SELECT id FROM posts WHERE title = 'Sunday summit'"));
+        assert.strictEqual((await getApiPost(writer, id)).publishAt, publishAt.toISOString());
+
+        // nothing is due yet
+        await publishDuePosts();
+        assert.strictEqual(await getApiPost(reader, id), null);
+
+        const due = new Date(Date.now() - 1000).toISOString();
+        await database.connect().then(db => db.run('UPDATE posts SET publishAt = ? WHERE id = ?', [due, id]));
+        await publishDuePosts();
+        const post = await getApiPost(reader, id);
+        assert.strictEqual(post.status, 'published');
+        assert.strictEqual(post.timestamp, due);
+        assert.strictEqual(post.publishAt, null);
+    });
+
+    it('rejects publish times that have passed', async () => {
+        const res = await writer.post('/posts', {
+            title: 'Too late', content: 'x', action: 'schedule', publishAt: '2020-01-01T08:00:00Z'
+        });
+        assert.match(redirectPath(res), /^\/\?error=/);
+    });
+
+    it('stores ISO 8601 times and shows them in the reader\'s time zone', async () => {
+        const id = await addPost(writer, 'writer', { title: 'Clock check', content: 'x' });
+        const post = await getApiPost(reader, id);
+        assert.match(post.timestamp, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+
+        const html = await (await reader.get(`/posts/${id}`)).text();
+        assert.ok(html.includes(`<time class="local-time" datetime="${post.timestamp}">`));
+    });
+});
+
+describe('notifications', () => {
+    let author;
+    let fan;
+
+    before(async () => {
+        author = new TestClient(baseUrl);
+        await author.register('google-author', 'author');
+        fan = new TestClient(baseUrl);
+        await fan.register('google-fan', 'fan');
+    });
+
+    //The messages on client's notifications page, newest first
+    async function notificationMessages(client) {
+        const html = await (await client.get('/notifications')).text();
+        return [...html.matchAll(/<li class="notification[^"]*">\s*<a href="[^"]*">([^<]*)<\/a>/g)].map(match => match[1]);
+    }
+
+    it('notifies about likes, comments, replies and follows, but not your own', async () => {
+        const id = await addPost(author, 'author', { title: 'Lost Coast', content: 'Three days of sand' });
+        await author.post(`/like/${id}`);
+        await fan.post(`/like/${id}`);
+        await fan.post(`/posts/${id}/comments`, { content: 'Jealous!' });
+        const { id: commentId } = await database.connect().then(db => db.get(
+            "SELECT id FROM comments WHERE content = 'Jealous!'"
+        ));
+        await author.post(`/posts/${id}/comments`, { content: 'Come next time', parentId: String(commentId) });
+        await fan.post('/users/author/follow');
+
+        assert.deepStrictEqual(await notificationMessages(author), [
+            'fan started following you',
+            'fan commented on your post &quot;Lost Coast&quot;',
+            'fan liked your post &quot;Lost Coast&quot;'
+        ]);
+        assert.deepStrictEqual(await notificationMessages(fan), ['author replied to your comment on &quot;Lost Coast&quot;']);
+        assert.match(await (await author.get('/')).text(), /<span id="notification-count" class="notification-count">3<\/span>/);
+    });
+
+    it('takes back a like or follow that is undone before it is read', async () => {
+        const id = await addPost(author, 'author', { title: 'Undecided', content: 'x' });
+        await fan.post(`/like/${id}`);
+        await fan.post(`/like/${id}`);
+        assert.ok(!(await notificationMessages(author)).some(message => message.includes('Undecided')));
+    });
+
+    it('marks notifications read one at a time or all at once', async () => {
+        const { id: authorId } = await database.users.findByUsername('author');
+        const unread = () => database.connect().then(db => db.all(
+            'SELECT id FROM notifications WHERE user_id = ? AND readAt IS NULL ORDER BY id', [authorId]
+        ));
+        const before = await unread();
+        assert.ok(before.length >= 2);
+
+        await author.post(`/notifications/${before[0].id}/read`);
+        assert.strictEqual((await unread()).length, before.length - 1);
+
+        // someone else's notifications stay as they are
+        await fan.post('/notifications/read');
+        assert.strictEqual((await unread()).length, before.length - 1);
+
+        const res = await author.post('/notifications/read');
+        assert.strictEqual(redirectPath(res), '/notifications');
+        assert.strictEqual((await unread()).length, 0);
+        assert.match(await (await author.get('/')).text(), /class="notification-count" hidden>0</);
+    });
+
+    it('leaves out the types a user turned off', async () => {
+        await author.post('/notifications/preferences', { types: 'comment' });
+        const profile = await (await author.get('/profile')).text();
+        assert.match(profile, /value="comment" checked/);
+        assert.doesNotMatch(profile, /value="like" checked/);
+
+        const id = await addPost(author, 'author', { title: 'Quiet please', content: 'x' });
+        await fan.post(`/like/${id}`);
+        assert.ok(!(await notificationMessages(author)).some(message => message.includes('Quiet please')));
+
+        await author.post('/notifications/preferences', { types: 'like' });
+    });
+
+    it('pushes new notifications to open pages', async () => {
+        const id = await addPost(author, 'author', { title: 'Live update', content: 'x' });
+        const controller = new AbortController();
+        const res = await author.request('/notifications/stream', { signal: controller.signal });
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let received = '';
+        try {
+            await fan.post(`/like/${id}`);
+            while (!received.includes('event: notification')) {
+                const { value } = await reader.read();
+                received += decoder.decode(value);
+            }
+        } finally {
+            controller.abort();
+        }
+        const data = JSON.parse(/event: notification\ndata: (.*)\n/.exec(received)[1]);
+        assert.strictEqual(data.message, 'fan liked your post "Live update"');
+        assert.strictEqual(data.link, `/posts/${id}`);
+        assert.strictEqual(data.unreadCount, 1);
+    });
+});
+
+describe('account deletion', () => {
+    it('removes the user with everything they made and logs them out', async () => {
+        const client = new TestClient(baseUrl);
+        await client.register('google-gus', 'gus');
+        const user = await database.users.findByUsername('gus');
+        const id = await addPost(client, 'gus', { title: 'Leaving soon', content: 'x' });
+
+        const other = new TestClient(baseUrl);
+        await other.register('google-hal', 'hal');
+        const otherPost = await addPost(other, 'hal', { title: 'Staying', content: 'x' });
+        await client.post(`/like/${otherPost}`);
+        await client.post(`/users/hal/follow`);
+
+        const res = await client.post('/deleteAccount');
+        assert.strictEqual(redirectPath(res), '/googleLogout');
+
+        assert.strictEqual(await database.users.findByUsername('gus'), undefined);
+        assert.strictEqual(await getApiPost(other, id), null);
+        assert.strictEqual((await getApiPost(other, otherPost)).likes, 0);
+        assert.strictEqual((await other.get('/users/gus')).status, 404);
+
+        const db = await database.connect();
+        for (const table of ['user_logins', 'sessions', 'post_likes']) {
+            const row = await db.get(`SELECT COUNT(*) AS n FROM ${table} WHERE user_id = ?`, [user.id]);
+            assert.strictEqual(row.n, 0, `nothing left in ${table}`);
+        }
+        assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM follows WHERE follower_id = ?', [user.id])).n, 0);
+
+        assert.notStrictEqual((await client.get('/profile')).status, 200);
+    });
+
+    it('lets the same Google account sign up again afterwards', async () => {
+        const client = new TestClient(baseUrl);
+        await client.register('google-ivy', 'ivy');
+        await client.post('/deleteAccount');
+
+        const res = await client.loginWithGoogle('google-ivy');
+        assert.strictEqual(redirectPath(res), '/registerUsername');
+    });
+});
@@ -0,0 +1,95 @@
+// Helpers shared by the integration tests: a stand in for Google's OAuth login
+// and a small browser-like client that keeps cookies and CSRF tokens.
+
+const { Strategy } = require('passport');
+
+//Takes the place of the Google strategy. /auth/google sends the browser straight
+//back to the callback, and the callback logs in whichever Google account id is
+//given as ?code, so tests pick who they are logged in as without any network
+class FakeGoogleStrategy extends Strategy {
+    constructor() {
+        super();
+        this.name = 'google';
+    }
+
+    authenticate(req) {
+        if (!req.query.code) {
+            this.redirect(`/auth/google/callback?code=${encodeURIComponent(req.query.as || 'fake-google-user')}`);
+            return;
+        }
+        this.success({ id: req.query.code, provider: 'google', displayName: 'Test Hiker' });
+    }
+}
+
+//Makes requests against a running server, remembering cookies between them.
+//Redirects are not followed so tests can check where they point
+class TestClient {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cookies = new Map();
+    }
+
+    async request(path, options = {}) {
+        const headers = { ...options.headers };
+        if (this.cookies.size > 0) {
+            headers.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        const res = await fetch(this.baseUrl + path, { ...options, headers, redirect: 'manual' });
+        res.headers.getSetCookie().forEach(cookie => {
+            const [pair] = cookie.split(';');
+            const index = pair.indexOf('=');
+            this.cookies.set(pair.slice(0, index), pair.slice(index + 1));
+        });
+        return res;
+    }
+
+    get(path) {
+        return this.request(path);
+    }
+
+    //Posts a form with the CSRF token of the current session added to it
+    async post(path, fields = {}) {
+        const body = new URLSearchParams({ ...fields, _csrf: await this.csrfToken() });
+        return this.request(path, { method: 'POST', body });
+    }
+
+    //Posts a multipart form, files maps field names to { name, type, data }. The token goes
+    //in the query string like the site's own upload forms, the body is read after the check
+    async upload(path, fields = {}, files = {}) {
+        const body = new FormData();
+        Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+        Object.entries(files).forEach(([field, file]) => body.append(field, new Blob([file.data], { type: file.type }), file.name));
+        const separator = path.includes('?') ? '&' : '?';
+        return this.request(`${path}${separator}_csrf=${encodeURIComponent(await this.csrfToken())}`, { method: 'POST', body });
+    }
+
+    //The CSRF token the layout puts in a meta tag for the current session
+    async csrfToken() {
+        const html = await (await this.get('/')).text();
+        const match = /<meta name="csrf-token" content="([^"]*)"/.exec(html);
+        return match ? match[1] : '';
+    }
+
+    //Logs in through the fake Google strategy as the Google account googleId
+    loginWithGoogle(googleId) {
+        return this.get(`/auth/google/callback?code=${encodeURIComponent(googleId)}`);
+    }
+
+    //Logs in as a new Google account and picks username on /registerUsername
+    async register(googleId, username) {
+        await this.loginWithGoogle(googleId);
+        return this.post('/registerUsername', { userName: username });
+    }
+}
+
+//Where a redirect response points, as a path
+function redirectPath(res) {
+    const location = res.headers.get('location');
+    if (!location) {
+        return null;
+    }
+    const url = new URL(location, 'http://localhost');
+    return url.pathname + url.search;
+}
+
+module.exports = { FakeGoogleStrategy, TestClient, redirectPath };
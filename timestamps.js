@@ -0,0 +1,25 @@
+// Reading the timestamps the app wrote before they were ISO 8601.
+//
+// getDate() used to write times like "2024-3-2  9:5", in the server's time
+// zone with a month counted from 0 and the day of the week where the day of
+// the month belongs. The real day can't be recovered, so those move to the
+// first of their month, which keeps their year, month and time of day.
+// Migration 006 converts the stored ones and importing an export archive made
+// before it converts the ones in the archive.
+
+// getDate() separated the date and time with two spaces and never wrote seconds
+const LEGACY_FORMAT = /^(\d{4})-(\d{1,2})-\d{1,2} {2}(\d{1,2}):(\d{1,2})$/;
+
+//The ISO 8601 time for an old getDate() timestamp, or null for anything else
+function convertLegacyTimestamp(value) {
+    const match = LEGACY_FORMAT.exec(value);
+    if (!match) {
+        return null;
+    }
+    const [year, month, hour, minute] = match.slice(1).map(Number);
+    // the month is already counted from 0, like the Date constructor wants it
+    const date = new Date(year, month, 1, hour, minute);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = { convertLegacyTimestamp };